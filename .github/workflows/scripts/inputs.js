@@ -0,0 +1,129 @@
+import fs from 'fs'
+
+// Workflow inputs come from the Apple Shortcuts and are untrusted. The workflows hand
+// them over as environment variables (never interpolated into a shell command), or a
+// JSON file named by PAYLOAD_FILE when running locally, and each script checks them
+// against a schema before touching the repository.
+//
+// A schema maps field names to rules:
+//   type       'string' | 'number' | 'boolean' | 'array' | 'object'
+//   env        environment variable holding the value
+//   required   the value must be present and, for strings, not blank
+//   json       the value is a JSON string that is parsed before checking
+//   maxLength  for strings and arrays
+//   pattern    for strings, with patternMessage explaining it
+//   items      rules for array items
+//   properties schema for object fields
+//   check      function returning an error message for anything the rules above cannot say
+
+export class InputError extends Error {
+  constructor(errors) {
+    super(errors.join('\n'))
+    this.errors = errors
+  }
+}
+
+export function readInputs(schema, { env = process.env } = {}) {
+  let payload
+
+  if (env.PAYLOAD_FILE) {
+    try {
+      payload = JSON.parse(fs.readFileSync(env.PAYLOAD_FILE, 'utf8'))
+    } catch (error) {
+      throw new InputError([`PAYLOAD_FILE could not be read as JSON: ${error.message}`])
+    }
+  } else {
+    payload = {}
+    for (const [name, rule] of Object.entries(schema)) {
+      if (rule.env && env[rule.env] !== undefined && env[rule.env] !== '') {
+        payload[name] = env[rule.env]
+      }
+    }
+  }
+
+  const errors = []
+  const value = checkObject(payload, schema, '', errors)
+  if (errors.length > 0) throw new InputError(errors)
+  return value
+}
+
+// Print every problem and stop; used by the workflow scripts for any input error
+export function exitWithInputErrors(error, label) {
+  if (!(error instanceof InputError)) throw error
+
+  console.error(`Invalid ${label} input:`)
+  for (const message of error.errors) {
+    console.error(`  - ${message}`)
+  }
+  process.exit(1)
+}
+
+function checkObject(value, schema, prefix, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${prefix || 'payload'} must be an object`)
+    return value
+  }
+
+  const result = {}
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = prefix ? `${prefix}.${name}` : name
+    const checked = checkValue(value[name], rule, field, errors)
+    if (checked !== undefined) result[name] = checked
+  }
+  return result
+}
+
+function checkValue(raw, rule, field, errors) {
+  let value = raw
+
+  if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+    if (rule.required) errors.push(`${field} is required`)
+    return undefined
+  }
+
+  if (rule.json && typeof value === 'string') {
+    try {
+      value = JSON.parse(value)
+    } catch (error) {
+      errors.push(`${field} is not valid JSON: ${error.message}`)
+      return undefined
+    }
+  }
+
+  const type = Array.isArray(value) ? 'array' : typeof value
+  if (type !== rule.type) {
+    errors.push(`${field} must be ${article(rule.type)} ${rule.type}, got ${type}`)
+    return undefined
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    errors.push(`${field} is longer than ${rule.maxLength} ${type === 'array' ? 'items' : 'characters'}`)
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push(`${field} ${rule.patternMessage || `does not match ${rule.pattern}`}`)
+  }
+
+  if (type === 'number' && !Number.isFinite(value)) {
+    errors.push(`${field} must be a finite number`)
+  }
+
+  const problem = rule.check && rule.check(value)
+  if (problem) {
+    errors.push(`${field} ${problem}`)
+  }
+
+  if (type === 'array' && rule.items) {
+    return value.map((item, index) => checkValue(item, { required: true, ...rule.items }, `${field}[${index}]`, errors))
+  }
+
+  if (type === 'object' && rule.properties) {
+    return { ...value, ...checkObject(value, rule.properties, field, errors) }
+  }
+
+  return value
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a'
+}
@@ -1,12 +1,85 @@
 import fs from 'fs'
 import path from 'path'
+import { formatSiteDateTime } from '../../../api/_lib/timezone.js'
+import { stringifyFrontMatter } from '../../../api/_lib/yaml.js'
+import { exitWithInputErrors, readInputs } from './inputs.js'
+
+// Inputs come from MEDIA_* environment variables (see .github/workflows/cf.yml) or PAYLOAD_FILE.
+// The id becomes a file name under _stories/, so it is limited to word characters and dashes.
+const ID_PATTERN = /^[\w-]{1,100}$/
+const TEXT = { type: 'string', maxLength: 2000 }
+// Media URLs end up in src attributes, so only https:// URLs with a host and site-relative paths are accepted
+const MEDIA_URL = {
+  type: 'string',
+  maxLength: 2000,
+  pattern: /^(?:https:\/\/[^\s"'<>/?#]+|\/)[^\s"'<>]*$/,
+  patternMessage: 'must be an https:// URL or a path on this site'
+}
+const SITE_URL = 'https://site.bazinga.ink'
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+const MEDIA_INPUT_SCHEMA = {
+  filepath: {
+    type: 'string',
+    env: 'MEDIA_FILEPATH',
+    required: true,
+    pattern: /^_data\/[\w-]+\.json$/,
+    patternMessage: 'must be a JSON file directly under _data/, such as _data/stories.json'
+  },
+  filedata: {
+    type: 'object',
+    env: 'MEDIA_FILEDATA',
+    required: true,
+    json: true,
+    check: data => {
+      if (!data.id && !data.uid) return 'needs an id (Cloudflare Images) or uid (Cloudflare Stream)'
+      if (!data.playback && !(Array.isArray(data.variants) && data.variants.length > 0)) {
+        return 'needs variants (Cloudflare Images) or playback (Cloudflare Stream)'
+      }
+      if (data.playback && !(data.meta && data.meta.url) && !streamDownloadUrl(data)) {
+        return 'needs meta.url or a Stream playback URL to find the video file'
+      }
+      return undefined
+    },
+    properties: {
+      id: { type: 'string', pattern: ID_PATTERN, patternMessage: 'may only contain letters, digits, _ and -' },
+      uid: { type: 'string', pattern: ID_PATTERN, patternMessage: 'may only contain letters, digits, _ and -' },
+      uploaded: {
+        type: 'string',
+        required: true,
+        check: value => (Number.isNaN(new Date(value).getTime()) ? 'is not a valid date' : undefined)
+      },
+      variants: { type: 'array', maxLength: 20, items: MEDIA_URL },
+      thumbnail: MEDIA_URL,
+      playback: { type: 'object', properties: { hls: MEDIA_URL, dash: MEDIA_URL } },
+      input: { type: 'object' },
+      meta: {
+        type: 'object',
+        required: true,
+        properties: {
+          title: TEXT,
+          alt: TEXT,
+          caption: TEXT,
+          url: MEDIA_URL,
+          tags: { type: 'array', maxLength: 20, items: { type: 'string', maxLength: 100 } }
+        }
+      }
+    }
+  }
+}
+
+let inputs
+try {
+  inputs = readInputs(MEDIA_INPUT_SCHEMA)
+} catch (error) {
+  exitWithInputErrors(error, 'media')
+}
 
-const filePath = process.argv[2]
-const jsonString = process.argv[3]
+const filePath = inputs.filepath
+const json = inputs.filedata
 const fileExists = fs.existsSync(filePath)
 
 const photos = fileExists ? JSON.parse(fs.readFileSync(filePath).toString()) : []
-const json = JSON.parse(jsonString)
 
 // CFStream has uid not id
 if (!json['id']) json.id = json.uid
@@ -23,47 +96,99 @@ fs.writeFileSync(filePath, JSON.stringify(photos))
 if (!filePath.endsWith('stories.json')) process.exit()
 
 const date = new Date(json.uploaded)
-const desc = json.meta.alt || json.meta.title
 const isVideo = !!json.playback
+const { width, height } = readDimensions(json)
 
-let frontmatter = `
-layout: story
-date: ${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()} ${date.getHours()}:${date.getMinutes()}
-tags: [ ${json.meta.tags.join(', ')} ]
-title: Story`
+const fields = {
+  layout: 'story',
+  date: formatSiteDateTime(date),
+  tags: json.meta.tags,
+  title: 'Story'
+}
 
 let markdown = ``
 
 if (isVideo) {
-  frontmatter += `
-image: ${json.thumbnail}
-video: ${json.meta.url}
-caption: |
-  ${json.meta.title}`
+  // Shortcuts send a direct file URL in meta.url; otherwise use Stream's MP4 download.
+  // <video src> needs a plain file: outside Safari an HLS manifest does not play
+  const video = json.meta.url || streamDownloadUrl(json)
+  const caption = json.meta.caption || json.meta.title || ''
+
+  fields.image = absoluteUrl(json.thumbnail)
+  fields.video = absoluteUrl(video)
+  fields.width = width
+  fields.height = height
+  fields.caption = caption
+  fields.alt = json.meta.alt || json.meta.title
 
   markdown = `
-<video src='${json.meta.url}' poster='${json.thumbnail}' aria-describedby='description'><!-- tracks --></video>
+<video src="${escapeHtml(fields.video)}"${fields.image ? ` poster="${escapeHtml(fields.image)}"` : ''} aria-describedby="description"><!-- tracks --></video>
 
-<div id='description'>${json.meta.title}</div>
+<div id="description">${escapeHtml(caption)}</div>
 `
 } else {
-  frontmatter += `
-image: https://site.bazinga.ink/images/placeholder.jpg
-caption: |
-  ${json.meta.caption || ''}
-alt: |
-  ${desc}`
+  const image = absoluteUrl(pickImageVariant(json.variants))
+  const alt = json.meta.alt || json.meta.title || ''
+  const caption = json.meta.caption || ''
 
-  markdown = `
-![${json.meta.alt}](https://site.bazinga.ink/images/placeholder.jpg)
+  fields.image = image
+  fields.width = width
+  fields.height = height
+  fields.caption = caption
+  fields.alt = alt
 
-${json.meta.caption}`
+  markdown = `
+![${escapeMarkdownText(alt)}](${image})${caption ? `\n\n${escapeHtml(caption)}` : ''}`
 }
 
-const content = `---${frontmatter}
----
-
-${markdown}
+// Captions and alt text can hold quotes, colons or line breaks, so they go through the shared YAML writer
+const content = `${stringifyFrontMatter(fields)}
+${markdown.trim()}
 `
 
 fs.writeFileSync(`_stories/${json.id || json.uid}.md`, content)
+
+// Cloudflare Images lists one URL per variant and names the full-size one `public`;
+// photos uploaded to the site list the original first, like photos.html expects
+function pickImageVariant(variants) {
+  const byName = name => variants.find(url => url.split('?')[0].endsWith(`/${name}`))
+  return byName('public') || variants.find(url => !/\/thumbnail(?:\?|$)/.test(url)) || variants[0]
+}
+
+// Stream serves the MP4 download (once downloads are enabled for the video) from the
+// same customer host as the manifests: https://customer-<code>.cloudflarestream.com/<uid>/downloads/default.mp4
+// The payload's check runs this before the URL patterns, so a manifest URL that does not
+// parse gives undefined instead of throwing
+function streamDownloadUrl(media) {
+  const manifest = media.playback.hls || media.playback.dash
+  if (typeof manifest !== 'string' || !manifest.startsWith('https://')) return undefined
+  try {
+    return `${new URL(manifest).origin}/${media.uid || media.id}/downloads/default.mp4`
+  } catch {
+    return undefined
+  }
+}
+
+// Stream reports the uploaded video's size under `input` (-1 until it is known);
+// for images the Shortcut can send meta.width and meta.height
+function readDimensions(media) {
+  const source = media.playback ? media.input : media.meta
+  const width = Number(source && source.width)
+  const height = Number(source && source.height)
+
+  if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) return {}
+  return { width, height }
+}
+
+// og:image and the feeds need absolute URLs
+function absoluteUrl(url) {
+  return url && url.startsWith('/') ? `${SITE_URL}${url}` : url
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+}
+
+function escapeMarkdownText(value) {
+  return value.replace(/\s+/g, ' ').replace(/[\\[\]]/g, char => `\\${char}`)
+}
@@ -1,24 +1,64 @@
 import fs from 'fs'
+import {
+  buildNote,
+  cleanNoteTags,
+  findAvailableNotePath,
+  readNoteLocation
+} from '../../../api/_lib/notes.js'
+import { parseSiteDateTime } from '../../../api/_lib/timezone.js'
+import { exitWithInputErrors, readInputs } from './inputs.js'
 
-const datetime = process.argv[2]
-const tags = process.argv[3]
-const lang = process.argv[4]
-const location = process.argv[5] || null
-const content = process.argv[6]
-const alphabets = [...'acefmnortuvwyz']
-const idx = fs.readdirSync('_notes').filter(p => p.startsWith(datetime.split(' ')[0])).length
-const a = alphabets[idx]
-const filePath = `_notes/${datetime.split(' ')[0]}-${a}${a}.md`
-const postContent = `---
-title: Note
-layout: default
-open_heart: true
-date: ${datetime}
-location: ${location}
-tags: ${tags.split(',').map(tag => `\n  - ${tag}`).join('')}${lang ? `\nlang: ${lang}` : ''}
----
-
-${content}
-`
-
-fs.writeFileSync(filePath, postContent)
+// Same builder as api/create-note.js, so both paths name and format notes the same way
+// Inputs come from NOTE_* environment variables (see .github/workflows/notes.yml) or PAYLOAD_FILE
+const NOTE_INPUT_SCHEMA = {
+  datetime: { type: 'string', env: 'NOTE_DATETIME', required: true, maxLength: 40 },
+  tags: { type: 'string', env: 'NOTE_TAGS', required: true, maxLength: 500 },
+  lang: {
+    type: 'string',
+    env: 'NOTE_LANG',
+    maxLength: 35,
+    pattern: /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/,
+    patternMessage: 'must be a language tag such as zh-CN or en-US'
+  },
+  location: { type: 'string', env: 'NOTE_LOCATION', maxLength: 200 },
+  content: { type: 'string', env: 'NOTE_CONTENT', required: true, maxLength: 20000 }
+}
+
+function fail(message) {
+  console.error(message)
+  process.exit(1)
+}
+
+let inputs
+try {
+  inputs = readInputs(NOTE_INPUT_SCHEMA)
+} catch (error) {
+  exitWithInputErrors(error, 'note')
+}
+
+const { datetime, tags, lang, location, content } = inputs
+
+const date = parseSiteDateTime(datetime)
+if (!date) fail(`Invalid datetime: ${datetime}`)
+
+const cleanedTags = cleanNoteTags(tags.split(','))
+if (cleanedTags.length === 0) fail('At least one tag is required')
+
+let noteLocation
+try {
+  noteLocation = readNoteLocation({ location })
+} catch (error) {
+  fail(error.message)
+}
+
+const note = buildNote({
+  date,
+  ...noteLocation,
+  tags: cleanedTags,
+  lang,
+  content: content.trim()
+})
+
+const filePath = await findAvailableNotePath(note.path, path => fs.existsSync(path))
+fs.writeFileSync(filePath, note.markdown)
+console.log(`Wrote ${filePath}`)
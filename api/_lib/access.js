@@ -0,0 +1,329 @@
+// 写入接口共用的 CORS、环境检查、限流与访问令牌校验
+// 校验失败时直接写好响应并返回 false，调用方只需 return
+//
+// 令牌配置在环境变量 WRITE_TOKENS（JSON 数组），只存哈希，例如：
+// [{ "name": "phone", "hash": "sha256:<hex>", "scopes": ["notes"], "expiresAt": "2026-12-31T00:00:00Z" }]
+// 吊销时给对应条目加上 "revoked": true 或直接删掉；生成新令牌用 scripts/tokens/create-write-token.sh
+// 旧的 WRITE_ACCESS_KEY 仍然可用，视为拥有全部权限的令牌，迁移完成后应删除
+// 配置了 SESSION_SECRET 时，没带 X-Access-Key 的请求改用通行密钥登录后的会话 Cookie 校验
+// 通行密钥和会话记着注册时所用令牌的名字，那个令牌被删除、吊销或过期后它们也随之失效
+
+import { createHash, timingSafeEqual } from 'crypto';
+import {
+  RATE_LIMITS,
+  clearFailures,
+  clientIp,
+  consumeRateLimit,
+  lockoutRemaining,
+  recordFailure
+} from './rate-limit.js';
+import { getDefaultStore } from './store.js';
+import { readSession } from './session.js';
+
+export const TOKEN_SCOPES = ['notes', 'posts', 'photos'];
+
+const HASH_PATTERN = /^sha256:[0-9a-f]{64}$/;
+const LEGACY_TOKEN_NAME = 'legacy';
+
+// 未配置 WRITE_ALLOWED_ORIGINS 时只放行站点本身和本地 jekyll serve
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://site.bazinga.ink',
+  'http://localhost:4000',
+  'http://127.0.0.1:4000'
+];
+
+// 浏览器请求只对白名单里的来源回写 Access-Control-Allow-Origin，其他来源直接 403；
+// 不带 Origin 的请求（快捷指令、curl、Cron）不是浏览器发起的，不受影响
+export function applyCors(req, res, { methods, headers = 'Content-Type, X-Access-Key, Idempotency-Key' }) {
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', headers);
+
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+
+  if (!allowedOrigins().includes(origin)) {
+    res.status(403).json({ error: '不允许的请求来源' });
+    return false;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  return true;
+}
+
+export function allowedOrigins(env = process.env) {
+  if (!env.WRITE_ALLOWED_ORIGINS) {
+    return DEFAULT_ALLOWED_ORIGINS;
+  }
+  return env.WRITE_ALLOWED_ORIGINS.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+}
+
+export function hashToken(token) {
+  return `sha256:${createHash('sha256').update(String(token), 'utf8').digest('hex')}`;
+}
+
+// 解析并校验令牌配置；格式错误时抛出，避免配置写错后悄悄放行或全部拒绝
+export function loadWriteTokens(env = process.env) {
+  const tokens = [];
+
+  if (env.WRITE_TOKENS) {
+    let entries;
+    try {
+      entries = JSON.parse(env.WRITE_TOKENS);
+    } catch (error) {
+      throw new Error('WRITE_TOKENS 不是合法的 JSON');
+    }
+
+    if (!Array.isArray(entries)) {
+      throw new Error('WRITE_TOKENS 必须是数组');
+    }
+
+    for (const entry of entries) {
+      if (!entry || typeof entry.name !== 'string' || !HASH_PATTERN.test(entry.hash || '')) {
+        throw new Error('WRITE_TOKENS 中的令牌需要 name 和 sha256 哈希');
+      }
+      // 通行密钥按名字找回注册它的令牌，名字必须唯一
+      if (tokens.some(token => token.name === entry.name)) {
+        throw new Error(`WRITE_TOKENS 中有重名的令牌 ${entry.name}`);
+      }
+      if (!Array.isArray(entry.scopes) || !entry.scopes.every(scope => TOKEN_SCOPES.includes(scope))) {
+        throw new Error(`令牌 ${entry.name} 的 scopes 只能包含 ${TOKEN_SCOPES.join('、')}`);
+      }
+      if (entry.expiresAt && Number.isNaN(new Date(entry.expiresAt).getTime())) {
+        throw new Error(`令牌 ${entry.name} 的 expiresAt 不是合法日期`);
+      }
+      tokens.push(entry);
+    }
+  }
+
+  if (env.WRITE_ACCESS_KEY) {
+    if (tokens.some(token => token.name === LEGACY_TOKEN_NAME)) {
+      throw new Error(`WRITE_TOKENS 中的令牌不能叫 ${LEGACY_TOKEN_NAME}，这个名字留给 WRITE_ACCESS_KEY`);
+    }
+    tokens.push({
+      name: LEGACY_TOKEN_NAME,
+      hash: hashToken(env.WRITE_ACCESS_KEY),
+      scopes: TOKEN_SCOPES
+    });
+  }
+
+  return tokens;
+}
+
+// 按哈希查找令牌并检查状态和权限；scope 为数组时满足其一即可
+// 返回 { token } 或 { status, error }
+export function verifyWriteToken(presented, tokens, { scope, now = new Date() } = {}) {
+  if (!presented || typeof presented !== 'string') {
+    return { status: 401, error: '无效的访问密钥' };
+  }
+
+  // 逐个做定长比较且不提前退出，响应时间不随命中位置变化
+  const presentedDigest = digestOf(hashToken(presented));
+  let matched = null;
+  for (const token of tokens) {
+    if (timingSafeEqual(presentedDigest, digestOf(token.hash)) && !matched) {
+      matched = token;
+    }
+  }
+
+  if (!matched) {
+    return { status: 401, error: '无效的访问密钥' };
+  }
+
+  if (matched.revoked) {
+    return { status: 401, error: '访问密钥已被吊销' };
+  }
+
+  if (isExpired(matched, now)) {
+    return { status: 401, error: '访问密钥已过期' };
+  }
+
+  const missing = missingScope(matched.scopes, scope);
+  if (missing) {
+    return { status: 403, error: `该访问密钥没有 ${missing} 权限` };
+  }
+
+  return { token: matched };
+}
+
+// 按名字找回注册通行密钥时所用的令牌；令牌已删除、吊销或过期时返回 null
+export function findSourceToken(name, tokens, now = new Date()) {
+  const token = tokens.find(item => item.name === name);
+  if (!token || token.revoked || isExpired(token, now)) {
+    return null;
+  }
+  return token;
+}
+
+// 读取会话并核对它的源令牌；权限取会话和源令牌的交集，源令牌后来收窄了权限时会话跟着收窄
+// 返回 { session } 或 { status, error }
+export function readActiveSession(req, { secret, tokens, now = Date.now() } = {}) {
+  const session = readSession(req, { secret, now });
+  if (!session) {
+    return { status: 401, error: '未登录或登录已过期，请用通行密钥登录或提供访问密钥' };
+  }
+
+  const source = findSourceToken(session.sourceToken, tokens, new Date(now));
+  if (!source) {
+    return { status: 401, error: '注册这个通行密钥的访问密钥已被吊销或过期，请用有效的访问密钥重新注册' };
+  }
+
+  return { session: { ...session, scopes: session.scopes.filter(item => source.scopes.includes(item)) } };
+}
+
+// 会话里记着登录所用通行密钥的权限，返回与 verifyWriteToken 相同的结构
+export function verifyWriteSession(req, { scope, secret, tokens, now = Date.now() } = {}) {
+  const { session, status, error } = readActiveSession(req, { secret, tokens, now });
+  if (!session) {
+    return { status, error };
+  }
+
+  const missing = missingScope(session.scopes, scope);
+  if (missing) {
+    return { status: 403, error: `当前登录的通行密钥没有 ${missing} 权限` };
+  }
+
+  return {
+    token: {
+      name: `passkey:${session.name}`,
+      scopes: session.scopes,
+      sourceToken: session.sourceToken,
+      session: true
+    }
+  };
+}
+
+// 成功时返回匹配的令牌（真值），调用方可据此记录是哪台设备写入的
+// 顺序：锁定检查 → 按 IP 限流 → 校验令牌（失败计数）→ 按令牌限流；store 可注入，便于测试
+export async function requireWriteAccess(req, res, scope, { store } = {}) {
+  const { GITHUB_TOKEN, GITHUB_REPO, WRITE_TOKENS, WRITE_ACCESS_KEY, SESSION_SECRET } = process.env;
+
+  if (!GITHUB_TOKEN || !GITHUB_REPO || (!WRITE_TOKENS && !WRITE_ACCESS_KEY && !SESSION_SECRET)) {
+    console.error('缺少必要的环境变量:', {
+      hasToken: !!GITHUB_TOKEN,
+      hasRepo: !!GITHUB_REPO,
+      hasWriteTokens: !!WRITE_TOKENS,
+      hasKey: !!WRITE_ACCESS_KEY,
+      hasSessionSecret: !!SESSION_SECRET
+    });
+    res.status(500).json({ error: '服务器配置错误' });
+    return false;
+  }
+
+  let tokens;
+  try {
+    tokens = loadWriteTokens(process.env);
+  } catch (error) {
+    console.error('访问令牌配置错误:', error.message);
+    res.status(500).json({ error: '服务器配置错误' });
+    return false;
+  }
+
+  // 锁定期内连正确的密钥也拒绝，否则猜密钥的人仍能从响应里分辨猜没猜对
+  const client = await throttleClient(req, res, { store });
+  if (!client) {
+    return false;
+  }
+
+  const presented = req.headers['x-access-key'];
+  const result = presented || !SESSION_SECRET
+    ? verifyWriteToken(presented, tokens, { scope })
+    : verifyWriteSession(req, { scope, secret: SESSION_SECRET, tokens });
+  if (!result.token) {
+    // 只有密钥或会话本身无效才计入失败；权限不足说明凭据是对的
+    if (result.status === 401 && await recordAuthFailure(res, client)) {
+      return false;
+    }
+    res.status(result.status).json({ error: result.error });
+    return false;
+  }
+
+  await clearAuthFailures(client);
+
+  const tokenWait = await guardStore(() => consumeRateLimit(client.limiter, `token:${result.token.name}`, RATE_LIMITS.token));
+  if (tokenWait) {
+    return tooManyRequests(res, tokenWait, '请求过于频繁，请稍后再试');
+  }
+
+  return result.token;
+}
+
+// 认证前的锁定检查和按 IP 限流；通过时返回 { limiter, ip }，否则写好 429 并返回 null
+export async function throttleClient(req, res, { store } = {}) {
+  const limiter = store || getDefaultStore();
+  const ip = clientIp(req);
+
+  const locked = await guardStore(() => lockoutRemaining(limiter, ip));
+  if (locked) {
+    tooManyRequests(res, locked, '认证失败次数过多，请稍后再试');
+    return null;
+  }
+
+  const ipWait = await guardStore(() => consumeRateLimit(limiter, `ip:${ip}`, RATE_LIMITS.ip));
+  if (ipWait) {
+    tooManyRequests(res, ipWait, '请求过于频繁，请稍后再试');
+    return null;
+  }
+
+  return { limiter, ip };
+}
+
+// 记一次认证失败；刚好触发锁定时写好 429 并返回 true
+export async function recordAuthFailure(res, { limiter, ip }) {
+  const lockout = await guardStore(() => recordFailure(limiter, ip));
+  if (lockout) {
+    tooManyRequests(res, lockout, '认证失败次数过多，请稍后再试');
+    return true;
+  }
+  return false;
+}
+
+export async function clearAuthFailures({ limiter, ip }) {
+  await guardStore(() => clearFailures(limiter, ip));
+}
+
+// Vercel Cron 会带上 `Authorization: Bearer <CRON_SECRET>`
+export function isCronRequest(req) {
+  const { CRON_SECRET } = process.env;
+  if (!CRON_SECRET) return false;
+
+  const presented = req.headers.authorization;
+  if (!presented) return false;
+
+  return timingSafeEqual(digestOf(hashToken(presented)), digestOf(hashToken(`Bearer ${CRON_SECRET}`)));
+}
+
+// 缺权限时返回用于提示的权限名，否则返回 null
+function missingScope(scopes, scope) {
+  const required = Array.isArray(scope) ? scope : [scope].filter(Boolean);
+  if (required.length > 0 && !required.some(item => scopes.includes(item))) {
+    return required.join(' 或 ');
+  }
+  return null;
+}
+
+function isExpired(token, now) {
+  return Boolean(token.expiresAt) && new Date(token.expiresAt) <= now;
+}
+
+function digestOf(hash) {
+  return Buffer.from(hash.slice('sha256:'.length), 'hex');
+}
+
+// 限流存储出错时放行并记录日志，KV 故障不应让站长也写不进去
+async function guardStore(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    console.error('限流存储不可用:', error.message);
+    return 0;
+  }
+}
+
+function tooManyRequests(res, waitMs, message) {
+  res.setHeader('Retry-After', String(Math.ceil(waitMs / 1000)));
+  res.status(429).json({ error: message });
+  return false;
+}
@@ -0,0 +1,84 @@
+// 从上传原图里读出拍摄信息，必须在 processImage 去掉元数据之前调用
+// GPS 只用来反查城市名，坐标本身不写进 photos.json
+
+import exifr from 'exifr';
+import { findNearestCity } from './gazetteer.js';
+import { formatSiteIso, fromSiteTime } from './timezone.js';
+
+// EXIF 时间不带时区，相机没写 OffsetTimeOriginal 时按站点时区处理
+const EXIF_DATE_PATTERN = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/;
+const OFFSET_PATTERN = /^[+-]\d{2}:\d{2}$/;
+
+// 返回 { exif, location }；图片没有 EXIF 或解析失败时两者都是 null，不影响上传
+export async function readPhotoMetadata(buffer) {
+  let tags;
+  try {
+    // reviveValues: false 让日期保持原始字符串，避免按服务器时区解释
+    tags = await exifr.parse(buffer, { tiff: true, exif: true, gps: true, reviveValues: false });
+  } catch (error) {
+    console.warn('读取 EXIF 失败:', error.message);
+    return { exif: null, location: null };
+  }
+
+  if (!tags) {
+    return { exif: null, location: null };
+  }
+
+  const exif = compact({
+    takenAt: formatTakenAt(
+      tags.DateTimeOriginal || tags.CreateDate,
+      tags.OffsetTimeOriginal || tags.OffsetTime
+    ),
+    camera: formatCamera(tags.Make, tags.Model),
+    lens: cleanText(tags.LensModel),
+    focalLength: positiveNumber(tags.FocalLength),
+    aperture: positiveNumber(tags.FNumber),
+    iso: positiveNumber(Array.isArray(tags.ISO) ? tags.ISO[0] : tags.ISO)
+  });
+
+  return {
+    exif: Object.keys(exif).length > 0 ? exif : null,
+    location: findNearestCity(tags.latitude, tags.longitude)
+  };
+}
+
+// `2025:09:04 10:35:12` + `+08:00` → `2025-09-04T10:35:12+08:00`
+function formatTakenAt(value, offset) {
+  const match = EXIF_DATE_PATTERN.exec(String(value || ''));
+  if (!match) return undefined;
+
+  const [, year, month, day, hour, minute, second] = match;
+  if (!OFFSET_PATTERN.test(String(offset || ''))) {
+    const local = fromSiteTime({ year, month, day, hour, minute, second });
+    return local ? formatSiteIso(local) : undefined;
+  }
+
+  const iso = `${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`;
+  return Number.isNaN(new Date(iso).getTime()) ? undefined : iso;
+}
+
+// 很多机型的 Model 已经带品牌（如 `Canon EOS R5`），避免拼出重复的品牌名
+function formatCamera(make, model) {
+  const cleanMake = cleanText(make);
+  const cleanModel = cleanText(model);
+  if (!cleanModel) return cleanMake;
+  if (!cleanMake || cleanModel.toLowerCase().startsWith(cleanMake.split(' ')[0].toLowerCase())) {
+    return cleanModel;
+  }
+  return `${cleanMake} ${cleanModel}`;
+}
+
+function cleanText(value) {
+  if (typeof value !== 'string') return undefined;
+  const text = value.replace(/\0/g, '').trim();
+  return text || undefined;
+}
+
+function positiveNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Number(number.toFixed(2)) : undefined;
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,91 @@
+// 本地地名表：照片 GPS 反查城市时只在这里找最近的城市，不调用外部地理编码服务
+// 需要新地点时直接往表里加一行，坐标取城市中心即可
+
+// 超过这个距离（公里）的最近城市不算数，宁可留空也不乱填
+const MAX_DISTANCE_KM = 60;
+const EARTH_RADIUS_KM = 6371;
+
+export const CITIES = [
+  { name: 'Beijing', lat: 39.9042, lon: 116.4074 },
+  { name: 'Shanghai', lat: 31.2304, lon: 121.4737 },
+  { name: 'Guangzhou', lat: 23.1291, lon: 113.2644 },
+  { name: 'Shenzhen', lat: 22.5431, lon: 114.0579 },
+  { name: 'Hong Kong', lat: 22.3193, lon: 114.1694 },
+  { name: 'Macau', lat: 22.1987, lon: 113.5439 },
+  { name: 'Hangzhou', lat: 30.2741, lon: 120.1551 },
+  { name: 'Suzhou', lat: 31.2989, lon: 120.5853 },
+  { name: 'Nanjing', lat: 32.0603, lon: 118.7969 },
+  { name: 'Wuhan', lat: 30.5928, lon: 114.3055 },
+  { name: 'Chengdu', lat: 30.5728, lon: 104.0668 },
+  { name: 'Chongqing', lat: 29.5630, lon: 106.5516 },
+  { name: "Xi'an", lat: 34.3416, lon: 108.9398 },
+  { name: 'Zhengzhou', lat: 34.7466, lon: 113.6254 },
+  { name: 'Luoyang', lat: 34.6197, lon: 112.4540 },
+  { name: 'Kaifeng', lat: 34.7972, lon: 114.3076 },
+  { name: 'Changsha', lat: 28.2282, lon: 112.9388 },
+  { name: 'Xiamen', lat: 24.4798, lon: 118.0894 },
+  { name: 'Fuzhou', lat: 26.0745, lon: 119.2965 },
+  { name: 'Qingdao', lat: 36.0671, lon: 120.3826 },
+  { name: 'Jinan', lat: 36.6512, lon: 117.1201 },
+  { name: 'Tianjin', lat: 39.3434, lon: 117.3616 },
+  { name: 'Dalian', lat: 38.9140, lon: 121.6147 },
+  { name: 'Shenyang', lat: 41.8057, lon: 123.4315 },
+  { name: 'Harbin', lat: 45.8038, lon: 126.5350 },
+  { name: 'Kunming', lat: 25.0389, lon: 102.7183 },
+  { name: 'Dali', lat: 25.6065, lon: 100.2676 },
+  { name: 'Lijiang', lat: 26.8721, lon: 100.2299 },
+  { name: 'Guilin', lat: 25.2736, lon: 110.2900 },
+  { name: 'Sanya', lat: 18.2528, lon: 109.5119 },
+  { name: 'Lhasa', lat: 29.6520, lon: 91.1721 },
+  { name: 'Urumqi', lat: 43.8256, lon: 87.6168 },
+  { name: 'Taipei', lat: 25.0330, lon: 121.5654 },
+  { name: 'Tokyo', lat: 35.6762, lon: 139.6503 },
+  { name: 'Kyoto', lat: 35.0116, lon: 135.7681 },
+  { name: 'Osaka', lat: 34.6937, lon: 135.5023 },
+  { name: 'Seoul', lat: 37.5665, lon: 126.9780 },
+  { name: 'Singapore', lat: 1.3521, lon: 103.8198 },
+  { name: 'Bangkok', lat: 13.7563, lon: 100.5018 },
+  { name: 'Kuala Lumpur', lat: 3.1390, lon: 101.6869 },
+  { name: 'London', lat: 51.5072, lon: -0.1276 },
+  { name: 'Paris', lat: 48.8566, lon: 2.3522 },
+  { name: 'Berlin', lat: 52.5200, lon: 13.4050 },
+  { name: 'Amsterdam', lat: 52.3676, lon: 4.9041 },
+  { name: 'Rome', lat: 41.9028, lon: 12.4964 },
+  { name: 'Barcelona', lat: 41.3874, lon: 2.1686 },
+  { name: 'New York', lat: 40.7128, lon: -74.0060 },
+  { name: 'San Francisco', lat: 37.7749, lon: -122.4194 },
+  { name: 'Los Angeles', lat: 34.0522, lon: -118.2437 },
+  { name: 'Seattle', lat: 47.6062, lon: -122.3321 },
+  { name: 'Vancouver', lat: 49.2827, lon: -123.1207 },
+  { name: 'Sydney', lat: -33.8688, lon: 151.2093 }
+];
+
+// 返回最近的城市名；坐标无效或附近没有已知城市时返回 null
+export function findNearestCity(latitude, longitude, cities = CITIES) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  for (const city of cities) {
+    const distance = distanceKm(latitude, longitude, city.lat, city.lon);
+    if (distance < nearestDistance) {
+      nearest = city;
+      nearestDistance = distance;
+    }
+  }
+
+  return nearest && nearestDistance <= MAX_DISTANCE_KM ? nearest.name : null;
+}
+
+// 球面距离（haversine），城市级别的精度足够
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
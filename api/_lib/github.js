@@ -0,0 +1,331 @@
+// 所有写入接口共用的 GitHub 提交客户端
+// 分支、作者、提交者都可以配置，fetch 可注入，方便对着本地替身接口测试整条写入链路
+
+const DEFAULT_BASE_URL = 'https://api.github.com';
+const DEFAULT_BRANCH = 'main';
+const DEFAULT_IDENTITY = {
+  name: 'Bazinga',
+  email: 'zjb15239430906@gmail.com'
+};
+const MAX_RENAME_ATTEMPTS = 5;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_RETRY_DELAY = 250;
+
+export function createGitHubClient(options = {}) {
+  const {
+    token,
+    repo,
+    branch = DEFAULT_BRANCH,
+    author = DEFAULT_IDENTITY,
+    committer = author,
+    baseUrl = DEFAULT_BASE_URL,
+    userAgent = 'site-writer',
+    retryDelay = DEFAULT_RETRY_DELAY,
+    fetch: fetchImpl = globalThis.fetch,
+    sleep = defaultSleep
+  } = options;
+
+  if (!token || !repo) {
+    throw new Error('GitHub 客户端缺少 token 或 repo');
+  }
+
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('GitHub 客户端缺少可用的 fetch 实现');
+  }
+
+  const apiRoot = `${baseUrl.replace(/\/+$/, '')}/repos/${repo}`;
+  const headers = {
+    Authorization: `token ${token}`,
+    Accept: 'application/vnd.github.v3+json',
+    'User-Agent': userAgent
+  };
+
+  async function request(method, path, body) {
+    const init = { method, headers: { ...headers } };
+
+    if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    const response = await fetchImpl(`${apiRoot}${path}`, init);
+
+    if (!response.ok) {
+      const errorBody = await response.json().catch(() => ({}));
+      const error = new Error(errorBody.message || 'GitHub API 请求失败');
+      error.status = response.status;
+      error.details = errorBody;
+      throw error;
+    }
+
+    if (response.status === 204) {
+      return null;
+    }
+
+    return await response.json();
+  }
+
+  function contentsPath(filepath) {
+    const encoded = filepath.split('/').map(encodeURIComponent).join('/');
+    return `/contents/${encoded}`;
+  }
+
+  // 读取文件，不存在时返回 null；ref 默认为配置的分支
+  async function getFile(filepath, { ref = branch } = {}) {
+    try {
+      const file = await request('GET', `${contentsPath(filepath)}?ref=${encodeURIComponent(ref)}`);
+      return {
+        path: file.path,
+        sha: file.sha,
+        content: file.content ? Buffer.from(file.content, 'base64') : Buffer.alloc(0)
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // 列出目录下的文件，目录不存在时返回空数组
+  async function listDirectory(dirpath, { ref = branch } = {}) {
+    try {
+      const entries = await request('GET', `${contentsPath(dirpath)}?ref=${encodeURIComponent(ref)}`);
+      return Array.isArray(entries)
+        ? entries
+          .filter(entry => entry.type === 'file')
+          .map(entry => ({ name: entry.name, path: entry.path, sha: entry.sha }))
+        : [];
+    } catch (error) {
+      if (error.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // 目标路径已被占用（或在 reserved 里，即同一提交中已分配）时，在扩展名前追加时间戳后缀，直到找到空位
+  async function resolveAvailablePath(filepath, { ref = branch, reserved } = {}) {
+    const timestamp = Date.now().toString().slice(-6);
+    let candidate = filepath;
+
+    for (let attempt = 0; attempt < MAX_RENAME_ATTEMPTS; attempt += 1) {
+      const taken = (reserved && reserved.has(candidate)) || await getFile(candidate, { ref });
+      if (!taken) {
+        return candidate;
+      }
+      candidate = appendSuffix(filepath, attempt === 0 ? timestamp : `${timestamp}-${attempt}`);
+    }
+
+    const error = new Error(`无法为 ${filepath} 找到可用的文件名`);
+    error.status = 422;
+    throw error;
+  }
+
+  // 写入（或在提供 sha 时更新）单个文件
+  async function putFile({ path, content, message, sha, encoding = 'utf8' }) {
+    const payload = {
+      message,
+      content: encodeContent(content, encoding),
+      branch,
+      author,
+      committer
+    };
+
+    if (sha) {
+      payload.sha = sha;
+    }
+
+    const result = await request('PUT', contentsPath(path), payload);
+    return normalizeCommitResult(result, path);
+  }
+
+  // 新建文件；路径冲突时按统一策略改名，不会覆盖已有文件
+  async function createFile({ path, content, message, encoding = 'utf8' }) {
+    const targetPath = await resolveAvailablePath(path);
+    return await putFile({ path: targetPath, content, message, encoding });
+  }
+
+  async function deleteFile({ path, message, sha }) {
+    const result = await request('DELETE', contentsPath(path), {
+      message,
+      sha,
+      branch,
+      author,
+      committer
+    });
+    return normalizeCommitResult(result, path);
+  }
+
+  // 读取分支当前指向的提交及其根树
+  async function getHead() {
+    const ref = await request('GET', `/git/ref/heads/${encodeURIComponent(branch)}`);
+    const commit = await request('GET', `/git/commits/${ref.object.sha}`);
+    return {
+      sha: commit.sha,
+      treeSha: commit.tree.sha
+    };
+  }
+
+  // 单独上传 blob，返回其 sha；之后可以在 commitFiles 里按 sha 引用
+  async function createBlob(content, encoding = 'utf8') {
+    const blob = await request('POST', '/git/blobs', {
+      content: encodeContent(content, encoding),
+      encoding: 'base64'
+    });
+    return blob.sha;
+  }
+
+  // 通过 Git Data API 把多个文件写进同一个提交
+  // content 为 null 表示删除该路径；只给 sha 不给 content 时引用已上传的 blob。
+  // 分支引用最后才移动，之前任何一步失败都不会留下半截提交，未被引用的 blob 和 tree 会被 GitHub 自动回收
+  async function commitFiles({ files, message, parent }) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new Error('commitFiles 至少需要一个文件');
+    }
+
+    const base = parent || await getHead();
+    const tree = [];
+
+    for (const file of files) {
+      if (file.content === null) {
+        tree.push({ path: file.path, mode: '100644', type: 'blob', sha: null });
+        continue;
+      }
+
+      const sha = file.content === undefined && file.sha
+        ? file.sha
+        : await createBlob(file.content, file.encoding || 'utf8');
+      tree.push({ path: file.path, mode: '100644', type: 'blob', sha });
+    }
+
+    const newTree = await request('POST', '/git/trees', {
+      base_tree: base.treeSha,
+      tree
+    });
+
+    const commit = await request('POST', '/git/commits', {
+      message,
+      tree: newTree.sha,
+      parents: [base.sha],
+      author,
+      committer
+    });
+
+    // 非快进更新会被拒绝（422），说明分支在此期间被别人推进了
+    try {
+      await request('PATCH', `/git/refs/heads/${encodeURIComponent(branch)}`, {
+        sha: commit.sha,
+        force: false
+      });
+    } catch (error) {
+      if (error.status === 409 || error.status === 422) {
+        error.conflict = true;
+      }
+      throw error;
+    }
+
+    return {
+      sha: commit.sha,
+      paths: files.map(file => file.path)
+    };
+  }
+
+  // 乐观并发：每次尝试都基于最新的分支头重新读取、合并，再提交
+  // 分支在此期间被推进时按指数退避重试，buildFiles(head) 必须是可重复执行的纯合并逻辑
+  // buildFiles 返回 null 表示读到最新状态后发现无需提交，此时直接返回 null
+  async function commitWithRetry({ message, buildFiles, maxRetries = DEFAULT_MAX_RETRIES }) {
+    for (let attempt = 0; ; attempt += 1) {
+      const head = await getHead();
+      const files = await buildFiles(head);
+      if (files === null) {
+        return null;
+      }
+
+      try {
+        const result = await commitFiles({ files, message, parent: head });
+        return { ...result, attempts: attempt + 1 };
+      } catch (error) {
+        if (!error.conflict || attempt >= maxRetries) {
+          throw error;
+        }
+
+        const jitter = Math.floor(Math.random() * retryDelay);
+        await sleep(retryDelay * 2 ** attempt + jitter);
+      }
+    }
+  }
+
+  return {
+    repo,
+    branch,
+    request,
+    getFile,
+    listDirectory,
+    resolveAvailablePath,
+    putFile,
+    createFile,
+    deleteFile,
+    getHead,
+    createBlob,
+    commitFiles,
+    commitWithRetry
+  };
+}
+
+// 从环境变量构建客户端，overrides 用于注入 fetch 等依赖
+export function createGitHubClientFromEnv(env = process.env, overrides = {}) {
+  const author = {
+    name: env.GITHUB_AUTHOR_NAME || DEFAULT_IDENTITY.name,
+    email: env.GITHUB_AUTHOR_EMAIL || DEFAULT_IDENTITY.email
+  };
+  const committer = {
+    name: env.GITHUB_COMMITTER_NAME || author.name,
+    email: env.GITHUB_COMMITTER_EMAIL || author.email
+  };
+
+  return createGitHubClient({
+    token: env.GITHUB_TOKEN,
+    repo: env.GITHUB_REPO,
+    branch: env.GITHUB_BRANCH || DEFAULT_BRANCH,
+    baseUrl: env.GITHUB_API_URL || DEFAULT_BASE_URL,
+    author,
+    committer,
+    ...overrides
+  });
+}
+
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function appendSuffix(filepath, suffix) {
+  const slashIndex = filepath.lastIndexOf('/');
+  const dotIndex = filepath.lastIndexOf('.');
+
+  if (dotIndex > slashIndex + 1) {
+    return `${filepath.slice(0, dotIndex)}-${suffix}${filepath.slice(dotIndex)}`;
+  }
+
+  return `${filepath}-${suffix}`;
+}
+
+function encodeContent(content, encoding) {
+  if (Buffer.isBuffer(content)) {
+    return content.toString('base64');
+  }
+
+  if (encoding === 'base64') {
+    return content;
+  }
+
+  return Buffer.from(content, 'utf8').toString('base64');
+}
+
+function normalizeCommitResult(result, fallbackPath) {
+  return {
+    path: result?.content?.path || fallbackPath,
+    sha: result?.commit?.sha || null,
+    contentSha: result?.content?.sha || null
+  };
+}
@@ -0,0 +1,143 @@
+// 写入接口的 Idempotency-Key 支持：同一个键的重试直接返回第一次的结果，不会再写一次
+// 结果按凭据分开存放在 store.js 的存储里；只缓存成功的响应，失败的请求可以用同一个键重试
+
+import { createHash } from 'crypto';
+import { getDefaultStore } from './store.js';
+
+export const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 处理中的占位；函数异常退出时到期自动释放
+const PENDING_TTL_MS = 2 * 60 * 1000;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,200}$/;
+
+// 没带 Idempotency-Key 或是 GET 请求时直接执行 run
+// run(res) 收到的是一个先记下响应、等结果存好后再真正发出的 res
+export async function runIdempotent(req, res, { store, token }, run) {
+  const key = req.headers['idempotency-key'];
+  if (!key || req.method === 'GET') {
+    return run(res);
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    res.status(400).json({ error: 'Idempotency-Key 格式无效' });
+    return;
+  }
+
+  const storage = store || getDefaultStore();
+  const storageKey = `idem:${token ? token.name : 'anonymous'}:${req.method}:${routeOf(req)}:${key}`;
+  const fingerprint = fingerprintOf(req);
+
+  let claimed;
+  try {
+    claimed = await storage.setIfAbsent(storageKey, JSON.stringify({ state: 'pending', fingerprint }), PENDING_TTL_MS);
+  } catch (error) {
+    // 存储不可用时照常处理，只是失去重试保护
+    console.error('幂等存储不可用:', error.message);
+    return run(res);
+  }
+
+  if (!claimed) {
+    return replay(res, storage, storageKey, fingerprint);
+  }
+
+  const recorder = createRecorder(res);
+  try {
+    await run(recorder.res);
+  } finally {
+    await saveResult(storage, storageKey, fingerprint, recorder.response);
+    recorder.flush();
+  }
+}
+
+async function replay(res, storage, storageKey, fingerprint) {
+  let record = null;
+  try {
+    record = JSON.parse(await storage.get(storageKey));
+  } catch (error) {
+    console.error('读取幂等记录失败:', error.message);
+  }
+
+  if (!record || record.state === 'pending') {
+    res.setHeader('Retry-After', '5');
+    res.status(409).json({ error: '相同的请求正在处理，请稍后再试' });
+    return;
+  }
+
+  if (record.fingerprint !== fingerprint) {
+    res.status(422).json({ error: '这个 Idempotency-Key 已用于另一个请求' });
+    return;
+  }
+
+  res.setHeader('Idempotent-Replayed', 'true');
+  res.status(record.status).json(record.body);
+}
+
+async function saveResult(storage, storageKey, fingerprint, response) {
+  try {
+    if (response.status >= 200 && response.status < 300 && response.body !== undefined) {
+      await storage.set(storageKey, JSON.stringify({
+        state: 'done',
+        fingerprint,
+        status: response.status,
+        body: response.body
+      }), IDEMPOTENCY_TTL_MS);
+    } else {
+      await storage.delete(storageKey);
+    }
+  } catch (error) {
+    console.error('保存幂等记录失败:', error.message);
+  }
+}
+
+// 响应先记在这里，结果存好后再发出；setHeader 照常直接写到真实的 res 上
+function createRecorder(res) {
+  const response = { status: 200, body: undefined, ended: false };
+
+  const proxy = {
+    setHeader: (...args) => res.setHeader(...args),
+    getHeader: (...args) => (res.getHeader ? res.getHeader(...args) : undefined),
+    status(code) {
+      response.status = code;
+      return proxy;
+    },
+    json(body) {
+      response.body = body;
+      response.ended = true;
+      return proxy;
+    },
+    end() {
+      response.ended = true;
+      return proxy;
+    }
+  };
+
+  return {
+    res: proxy,
+    response,
+    flush() {
+      if (!response.ended) return;
+      if (response.body === undefined) {
+        res.status(response.status).end();
+      } else {
+        res.status(response.status).json(response.body);
+      }
+    }
+  };
+}
+
+function routeOf(req) {
+  return String(req.url || '').split('?')[0];
+}
+
+// 同一个键配不同的请求内容视为客户端错误；原始二进制上传按元数据和图片内容的哈希区分
+// （upload.js 的 bufferPhotoUpload 已经把请求体读进 req.body）
+function fingerprintOf(req) {
+  const { headers } = req;
+  const isJson = String(headers['content-type'] || '').includes('application/json');
+  const bodyHash = Buffer.isBuffer(req.body) ? createHash('sha256').update(req.body).digest('hex') : '';
+  const content = isJson
+    ? JSON.stringify(req.body === undefined ? null : req.body)
+    : [headers['content-type'], bodyHash, headers['x-photo-filename'], headers['x-photo-data']].join('\n');
+  return createHash('sha256').update(`${JSON.stringify(req.query || {})}\n${content}`).digest('hex');
+}
@@ -0,0 +1,89 @@
+// 照片和笔记附图的服务端图片处理：按 EXIF 方向摆正、去掉包括 GPS 在内的元数据，照片另外生成多尺寸变体
+// 变体文件名形如 `name@960w.webp`，photos.html 从 `@` 之后读出宽度描述符拼 srcset
+
+import sharp from 'sharp';
+
+export const VARIANT_WIDTHS = [480, 960, 1600];
+export const VARIANT_FORMATS = ['avif', 'webp'];
+
+// 原格式不在此列时统一转成 JPEG
+const ORIGINAL_FORMATS = {
+  jpeg: 'jpg',
+  jpg: 'jpg',
+  png: 'png',
+  webp: 'webp',
+  avif: 'avif'
+};
+
+// 每张照片最多编码 9 次（3 个宽度 × AVIF、WebP 和原格式）；AVIF 用 effort 2，effort 4 时整张照片的处理时间接近翻倍
+const ENCODE_OPTIONS = {
+  jpg: ['jpeg', { quality: 85, mozjpeg: true }],
+  png: ['png', { compressionLevel: 9 }],
+  webp: ['webp', { quality: 80 }],
+  avif: ['avif', { quality: 55, effort: 2 }]
+};
+
+export function resolveOriginalExtension(imageType) {
+  return ORIGINAL_FORMATS[String(imageType || '').toLowerCase()] || 'jpg';
+}
+
+// 摆正并重新编码一张图；给了 maxWidth 时顺带缩到该宽度以内（不放大）
+export async function normalizeImage(buffer, { extension, maxWidth } = {}) {
+  const originalExtension = resolveOriginalExtension(extension);
+
+  // rotate() 无参数时按 EXIF 方向摆正；默认输出不带任何元数据，GPS 随之去除
+  let pipeline = sharp(buffer, { failOn: 'error' }).rotate();
+  if (maxWidth) {
+    pipeline = pipeline.resize({ width: maxWidth, withoutEnlargement: true });
+  }
+
+  const { data, info } = await encode(pipeline.keepIccProfile(), originalExtension)
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    content: data,
+    extension: originalExtension,
+    dimensions: {
+      width: info.width,
+      height: info.height
+    }
+  };
+}
+
+// basePath 不带扩展名，例如 `images/photos/2025-09-04-cat`
+export async function processImage(buffer, { basePath, extension }) {
+  const {
+    content: normalized,
+    extension: originalExtension,
+    dimensions
+  } = await normalizeImage(buffer, { extension });
+
+  const files = [{ path: `${basePath}.${originalExtension}`, content: normalized }];
+
+  // 不放大：比原图宽的尺寸跳过，原图比最小尺寸还窄时只生成原宽度的一档
+  const widths = VARIANT_WIDTHS.filter(width => width < dimensions.width);
+  if (widths.length === 0) {
+    widths.push(dimensions.width);
+  }
+
+  const formats = [...new Set([...VARIANT_FORMATS, originalExtension])];
+
+  for (const width of widths) {
+    for (const format of formats) {
+      const content = await encode(sharp(normalized).resize({ width }), format).toBuffer();
+      files.push({ path: `${basePath}@${width}w.${format}`, content });
+    }
+  }
+
+  return {
+    dimensions,
+    ratio: Number((dimensions.width / dimensions.height).toFixed(2)),
+    files,
+    variants: files.map(file => `/${file.path}`)
+  };
+}
+
+function encode(pipeline, extension) {
+  const [format, options] = ENCODE_OPTIONS[extension];
+  return pipeline.toFormat(format, options);
+}
@@ -0,0 +1,128 @@
+// 笔记附图：解码、摆正并去掉元数据后放进 images/notes/，正文末尾按顺序插入 Markdown 引用
+// 文件名带内容哈希，同一篇笔记重复提交同一张图不会多出文件，也不需要在提交时找空闲路径
+
+import { createHash } from 'crypto';
+import { normalizeImage } from './images.js';
+import { decodeImageData, uploadError } from './upload.js';
+
+export const NOTE_IMAGES_DIR = 'images/notes';
+
+export const MAX_NOTE_IMAGES = 4;
+
+// 图片随 JSON 请求体一起提交，base64 会膨胀约三分之一，合计不能超过函数的请求体上限
+export const MAX_NOTE_IMAGES_BYTES = 3 * 1024 * 1024;
+
+// 笔记里的图只按正文宽度显示，不需要照片那样的多尺寸变体
+const NOTE_IMAGE_MAX_WIDTH = 1600;
+const MAX_ALT_LENGTH = 200;
+
+// 校验请求里的 images: [{ data: 'data:image/...;base64,...', alt }]，出错时抛出带 status 的 Error
+export function readNoteImages(images) {
+  if (images === undefined || images === null) {
+    return [];
+  }
+
+  if (!Array.isArray(images)) {
+    throw uploadError(400, 'images 必须是数组');
+  }
+
+  if (images.length > MAX_NOTE_IMAGES) {
+    throw uploadError(400, `每条笔记最多 ${MAX_NOTE_IMAGES} 张图片`);
+  }
+
+  let totalBytes = 0;
+  return images.map(image => {
+    const alt = cleanAltText(image && image.alt);
+    if (!alt) {
+      throw uploadError(400, '每张图片都需要替代文本');
+    }
+
+    const decoded = decodeImageData(image.data, { maxBytes: MAX_NOTE_IMAGES_BYTES });
+    totalBytes += decoded.imageBuffer.length;
+    if (totalBytes > MAX_NOTE_IMAGES_BYTES) {
+      throw uploadError(413, `图片合计不能超过 ${MAX_NOTE_IMAGES_BYTES / 1024 / 1024}MB`);
+    }
+
+    return { ...decoded, alt };
+  });
+}
+
+// 返回 [{ path, content, alt }]；图片无法解析时抛出 status 为 400 的 Error
+export async function prepareNoteImages(images, { filenameBase }) {
+  const prepared = [];
+
+  for (const { imageBuffer, imageType, alt } of images) {
+    let normalized;
+    try {
+      normalized = await normalizeImage(imageBuffer, { extension: imageType, maxWidth: NOTE_IMAGE_MAX_WIDTH });
+    } catch (error) {
+      console.error('笔记图片解码失败:', error);
+      throw uploadError(400, '无法解析图片，请换一张试试');
+    }
+
+    const hash = createHash('sha256').update(normalized.content).digest('hex').slice(0, 8);
+    prepared.push({
+      path: `${NOTE_IMAGES_DIR}/${filenameBase}-${hash}.${normalized.extension}`,
+      content: normalized.content,
+      alt
+    });
+  }
+
+  return prepared;
+}
+
+// 在正文末尾追加 `![alt](/images/notes/...)`，每张图单独一段
+export function appendImageReferences(content, images) {
+  if (images.length === 0) {
+    return content;
+  }
+
+  const references = images.map(image => `![${escapeAltText(image.alt)}](/${image.path})`);
+  return [content, ...references].join('\n\n');
+}
+
+// 正文里引用的笔记图片的仓库路径，删除笔记时一并删掉；只认笔记图片目录，防止正文被改坏后删到别处
+export function noteImagePaths(content) {
+  const pattern = new RegExp(`!\\[(?:\\\\.|[^\\]\\\\])*\\]\\(/(${NOTE_IMAGES_DIR}/[\\w.-]+)\\)`, 'g');
+  const paths = new Set();
+
+  for (const match of String(content || '').matchAll(pattern)) {
+    if (!match[1].includes('..')) {
+      paths.add(match[1]);
+    }
+  }
+
+  return [...paths];
+}
+
+// 随笔记一起提交的图片名为 `{笔记文件名}-{8 位哈希}.{扩展名}`，删除笔记时只删这些图
+export function isOwnNoteImage(path, filenameBase) {
+  return new RegExp(`^${NOTE_IMAGES_DIR}/${filenameBase}-[0-9a-f]{8}\\.\\w+$`).test(path);
+}
+
+// 笔记在提交时因同一分钟重名改用 `-2` 等文件名，它自己的附图也跟着改名并改写正文里的引用，
+// 否则删除笔记时按文件名找不到这些图；返回改写后的 content 和 renamed: [{ from, to }]
+export function renameNoteImages(content, { from, to }) {
+  if (from === to) {
+    return { content, renamed: [] };
+  }
+
+  const renamed = noteImagePaths(content)
+    .filter(path => isOwnNoteImage(path, from))
+    .map(path => ({ from: path, to: `${NOTE_IMAGES_DIR}/${to}-${path.slice(`${NOTE_IMAGES_DIR}/${from}-`.length)}` }));
+
+  return {
+    content: renamed.reduce((text, image) => text.split(`](/${image.from})`).join(`](/${image.to})`), content),
+    renamed
+  };
+}
+
+function cleanAltText(alt) {
+  return typeof alt === 'string'
+    ? alt.replace(/\s+/g, ' ').trim().slice(0, MAX_ALT_LENGTH)
+    : '';
+}
+
+function escapeAltText(alt) {
+  return alt.replace(/[\\[\]]/g, match => `\\${match}`);
+}
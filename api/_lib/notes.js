@@ -0,0 +1,264 @@
+// 笔记的命名、front matter 生成、解析与路径解析
+// 创建接口和 .github/workflows/scripts/notes.js 都通过 buildNote 生成笔记，文件名、front matter 和重名处理只有这一套
+// 这里不能引入任何 npm 依赖，工作流脚本不装依赖直接运行
+
+import { findNearestCity } from './gazetteer.js';
+import { isValidTimeZone, zonedParts } from './timezone.js';
+import { parseYamlFlowSequence, parseYamlScalar, stringifyFrontMatter } from './yaml.js';
+
+export const NOTES_DIR = '_notes';
+
+// 文件名形如 `note-2025-10-29-1530.md`，同一分钟的第二条起加 `-2`、`-3`
+// 站点的 permalink 风格不带后缀，笔记地址就是 `/notes/` 加文件名去掉 `.md`
+const NOTE_FILENAME_PATTERN = /^note-\d{4}-\d{2}-\d{2}-\d{4}(?:-\d+)?$/;
+const MAX_DUPLICATE_NOTES = 50;
+
+const MAX_LOCATION_LENGTH = 60;
+// 城市名只放行文字、数字、空格和几种常见标点，页面和订阅里按纯文本显示
+const LOCATION_PATTERN = /^[\p{L}\p{N}][\p{L}\p{M}\p{N} .,'’()-]*$/u;
+// 经纬度保留 4 位小数（约 10 米），够定位到街区，又不至于精确到门牌
+const COORDINATE_DECIMALS = 4;
+// 语言标签和快捷指令工作流（.github/workflows/scripts/notes.js）的 NOTE_LANG 校验一致
+const LANG_PATTERN = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+const MAX_LANG_LENGTH = 35;
+
+// 由发布时间得到文件名、标题和 front matter 里的日期，都按站点时区
+export function noteIdentifiers(date) {
+  const { year, month, day, hour, minute } = zonedParts(date);
+  return {
+    filenameBase: `note-${year}-${month}-${day}-${hour}${minute}`,
+    title: `${year}${month}${day}${hour}${minute}`,
+    date: `${year}/${month}/${day} ${hour}:${minute}`
+  };
+}
+
+// 返回 { filenameBase, title, date, path, url, markdown }；path 是首选路径，提交前还要经过 findAvailableNotePath
+// fields 是已经校验过的 tags、lang、content 和 readNoteLocation 的结果
+export function buildNote({ date, tags, lang, content, ...location }) {
+  const identifiers = noteIdentifiers(date);
+  const path = `${NOTES_DIR}/${identifiers.filenameBase}.md`;
+
+  return {
+    ...identifiers,
+    path,
+    url: noteUrl(path),
+    markdown: createMarkdownContent({
+      title: identifiers.title,
+      date: identifiers.date,
+      location: location.location,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timezone: location.timezone,
+      tags,
+      lang,
+      content
+    })
+  };
+}
+
+// 同一分钟已有笔记时依次尝试 `-2`、`-3`……；isTaken(path) 可以是异步的
+export async function findAvailableNotePath(path, isTaken) {
+  const base = path.replace(/\.md$/, '');
+
+  for (let attempt = 1; attempt <= MAX_DUPLICATE_NOTES; attempt += 1) {
+    const candidate = attempt === 1 ? path : `${base}-${attempt}.md`;
+    if (!await isTaken(candidate)) {
+      return candidate;
+    }
+  }
+
+  const error = new Error(`无法为 ${path} 找到可用的文件名`);
+  error.status = 422;
+  throw error;
+}
+
+export function noteUrl(path) {
+  return `/notes/${path.split('/').pop().replace(/\.md$/, '')}`;
+}
+
+export function isCanonicalNoteFilename(filename) {
+  return NOTE_FILENAME_PATTERN.test(filename.replace(/\.md$/, ''));
+}
+
+// 创建 Markdown 内容，front matter 统一交给 yaml.js 转义
+// location 和 .github/workflows/scripts/notes.js 写出的一样，是紧跟在 date 后面的城市名
+export function createMarkdownContent({ title, date, location, latitude, longitude, timezone, tags, lang, content }) {
+  const hasCoordinates = Number.isFinite(latitude) && Number.isFinite(longitude);
+
+  const frontMatter = stringifyFrontMatter({
+    title,
+    layout: 'default',
+    open_heart: true,
+    date,
+    location: location || undefined,
+    latitude: hasCoordinates ? latitude : undefined,
+    longitude: hasCoordinates ? longitude : undefined,
+    timezone: timezone || undefined,
+    tags,
+    // 只有当 lang 不为默认值时才添加
+    lang: lang && lang !== 'zh-CN' ? lang : undefined
+  });
+
+  return `${frontMatter}\n${content}\n`;
+}
+
+// 校验请求里的 location、latitude、longitude、timezone，都是可选的；出错时抛出 status 为 400 的 Error
+// 只给了坐标时按本地地名表补上城市名
+export function readNoteLocation({ location, latitude, longitude, timezone } = {}) {
+  const result = {};
+
+  if (location !== undefined && location !== null && location !== '') {
+    const city = typeof location === 'string' ? location.replace(/\s+/g, ' ').trim() : '';
+    if (!city || city.length > MAX_LOCATION_LENGTH || !LOCATION_PATTERN.test(city)) {
+      throw noteError(`地点只能包含文字、数字、空格和常见标点，且不超过 ${MAX_LOCATION_LENGTH} 个字符`);
+    }
+    result.location = city;
+  }
+
+  const hasLatitude = latitude !== undefined && latitude !== null && latitude !== '';
+  const hasLongitude = longitude !== undefined && longitude !== null && longitude !== '';
+  if (hasLatitude !== hasLongitude) {
+    throw noteError('纬度和经度需要同时提供');
+  }
+
+  if (hasLatitude) {
+    const lat = toCoordinate(latitude, 90);
+    const lon = toCoordinate(longitude, 180);
+    if (lat === null || lon === null) {
+      throw noteError('纬度应在 -90 到 90 之间，经度应在 -180 到 180 之间');
+    }
+    result.latitude = lat;
+    result.longitude = lon;
+
+    if (!result.location) {
+      const nearest = findNearestCity(lat, lon);
+      if (nearest) {
+        result.location = nearest;
+      }
+    }
+  }
+
+  if (timezone !== undefined && timezone !== null && timezone !== '') {
+    if (!isTimeZone(timezone)) {
+      throw noteError('时区应为 IANA 时区名，例如 Asia/Shanghai');
+    }
+    result.timezone = timezone;
+  }
+
+  return result;
+}
+
+// 过滤和清理标签；标签必须是字符串，否则抛出 status 为 400 的 Error
+export function cleanNoteTags(tags) {
+  if (!tags.every(tag => typeof tag === 'string')) {
+    throw noteError('标签必须是字符串');
+  }
+
+  return tags
+    .map(tag => tag.trim())
+    .filter(tag => tag && tag.length > 0)
+    .slice(0, 10); // 限制最多10个标签
+}
+
+// 校验语言标签，例如 zh-CN、en-US；不合法时抛出 status 为 400 的 Error
+export function checkNoteLang(lang) {
+  if (typeof lang !== 'string' || lang.length > MAX_LANG_LENGTH || !LANG_PATTERN.test(lang)) {
+    throw noteError('语言应为 zh-CN、en-US 这样的语言标签');
+  }
+  return lang;
+}
+
+// 解析已有笔记，兼容 `tags: ["a"]` 与逐行 `- a` 两种写法
+export function parseNoteMarkdown(markdown) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(markdown);
+  if (!match) {
+    return null;
+  }
+
+  const fields = {};
+  let listKey = null;
+
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = /^\s+-\s*(.*)$/.exec(line);
+    if (item && listKey) {
+      fields[listKey].push(parseYamlScalar(item[1]));
+      continue;
+    }
+
+    const pair = /^([A-Za-z_][\w-]*):\s*(.*)$/.exec(line);
+    if (!pair) continue;
+
+    const [, key, rawValue] = pair;
+    listKey = null;
+
+    if (rawValue === '') {
+      fields[key] = [];
+      listKey = key;
+    } else {
+      fields[key] = parseYamlFlowSequence(rawValue) ?? parseYamlScalar(rawValue);
+    }
+  }
+
+  // 工作流在没有城市时会写出 `location: null`，读回来是 null
+  const location = typeof fields.location === 'string' ? fields.location : undefined;
+
+  return {
+    title: fields.title,
+    date: fields.date,
+    location,
+    latitude: toCoordinate(fields.latitude, 90) ?? undefined,
+    longitude: toCoordinate(fields.longitude, 180) ?? undefined,
+    timezone: typeof fields.timezone === 'string' ? fields.timezone : undefined,
+    tags: Array.isArray(fields.tags) ? fields.tags : [],
+    lang: typeof fields.lang === 'string' ? fields.lang : undefined,
+    content: match[2].replace(/^\n+/, '')
+  };
+}
+
+// 接受 `note-2025-10-29-1530.md` 文件名、`/notes/note-2025-10-29-1530` 形式的笔记地址，
+// 或者旧接口返回过的 `/notes/2025/10/29/1530/`，返回仓库内路径
+export function resolveNotePath(identifier) {
+  if (typeof identifier !== 'string') return null;
+
+  const value = identifier.trim();
+  const pageMatch = /^(?:https?:\/\/[^/]+)?\/notes\/([\w-]+)\/?$/.exec(value);
+  if (pageMatch) {
+    return `${NOTES_DIR}/${pageMatch[1]}.md`;
+  }
+
+  const urlMatch = /^(?:https?:\/\/[^/]+)?\/notes\/(\d{4})\/(\d{2})\/(\d{2})\/(\d{4})\/?$/.exec(value);
+  if (urlMatch) {
+    const [, year, month, day, time] = urlMatch;
+    return `${NOTES_DIR}/note-${year}-${month}-${day}-${time}.md`;
+  }
+
+  const filename = value.replace(new RegExp(`^${NOTES_DIR}/`), '');
+  if (!/^[\w-]+\.md$/.test(filename)) return null;
+
+  return `${NOTES_DIR}/${filename}`;
+}
+
+function toCoordinate(value, limit) {
+  if (typeof value !== 'number' && (typeof value !== 'string' || !value.trim())) {
+    return null;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || Math.abs(number) > limit) {
+    return null;
+  }
+
+  return Number(number.toFixed(COORDINATE_DECIMALS));
+}
+
+function isTimeZone(value) {
+  return typeof value === 'string'
+    && /^[A-Za-z][\w+-]*(?:\/[\w+-]+)*$/.test(value)
+    && isValidTimeZone(value);
+}
+
+function noteError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
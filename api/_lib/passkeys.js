@@ -0,0 +1,72 @@
+// 已注册通行密钥的清单 `_auth/passkeys.json`，以及 WebAuthn 依赖方（RP）参数
+// 清单只存凭据 ID 和公钥，公开也无妨；下划线开头的目录不会被 Jekyll 发布
+
+import { allowedOrigins } from './access.js';
+
+export const PASSKEYS_PATH = '_auth/passkeys.json';
+export const RP_NAME = 'Bazinga';
+
+// 站点只有一位作者，所有通行密钥挂在同一个 WebAuthn 用户下
+export const OWNER_USER_ID = Buffer.from('bazinga-owner', 'utf8');
+export const OWNER_USER_NAME = 'owner';
+
+const MAX_NAME_LENGTH = 40;
+
+// 读取失败时直接抛出，避免用空数组覆盖已注册的通行密钥
+export async function readPasskeys(github, { ref } = {}) {
+  const file = await github.getFile(PASSKEYS_PATH, ref ? { ref } : undefined);
+  return file ? JSON.parse(file.content.toString('utf8')) : [];
+}
+
+export function passkeysFile(passkeys) {
+  return {
+    path: PASSKEYS_PATH,
+    content: `${JSON.stringify(passkeys, null, 2)}\n`
+  };
+}
+
+export function findPasskey(passkeys, id) {
+  return passkeys.find(passkey => passkey.id === id) || null;
+}
+
+// 设备名只用于区分和提示，限制长度即可
+export function cleanPasskeyName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim();
+  return trimmed && trimmed.length <= MAX_NAME_LENGTH ? trimmed : null;
+}
+
+// RP ID 取请求来源的主机名：线上是 site.bazinga.ink，本地 jekyll serve 是 localhost
+// 只接受写入接口 CORS 白名单里的来源；通行密钥绑定在注册时的 RP ID 上，线上和本地要分别注册
+export function relyingPartyFor(req) {
+  const origin = req.headers.origin;
+  if (!origin || !allowedOrigins().includes(origin)) {
+    return null;
+  }
+  return { origin, rpID: new URL(origin).hostname };
+}
+
+// 计数器只在注册时记录：同步型通行密钥的计数器恒为 0，每次登录都提交一次更新不划算
+// sourceToken 是发起注册的访问密钥的名字，登录和会话都要求它仍然有效
+export function toPasskeyEntry({ credential, name, scopes, sourceToken, rpID, now = new Date() }) {
+  return {
+    id: credential.id,
+    name,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports || [],
+    rpID,
+    scopes,
+    sourceToken,
+    createdAt: now.toISOString()
+  };
+}
+
+export function toWebAuthnCredential(passkey) {
+  return {
+    id: passkey.id,
+    publicKey: new Uint8Array(Buffer.from(passkey.publicKey, 'base64url')),
+    counter: passkey.counter || 0,
+    transports: passkey.transports
+  };
+}
@@ -0,0 +1,194 @@
+// 照片清单 `_data/photos.json` 的读写、照片 ID 的生成规则，以及单张和批量上传共用的处理流程
+// ID 形如 `photo-20250904-002-1a2b3c4d`：当天序号 + 原图内容哈希前 8 位
+
+import { createHash } from 'crypto';
+import { readPhotoMetadata } from './exif.js';
+import { processImage, resolveOriginalExtension } from './images.js';
+import { formatSiteDay } from './timezone.js';
+
+export const PHOTOS_PATH = '_data/photos.json';
+
+const HASH_PREFIX_LENGTH = 8;
+
+// 读取失败时直接抛出，避免用空数组覆盖已有照片
+export async function readPhotos(github, { ref } = {}) {
+  const file = await github.getFile(PHOTOS_PATH, ref ? { ref } : undefined);
+  return file ? JSON.parse(file.content.toString('utf8')) : [];
+}
+
+export function photosFile(photos) {
+  return {
+    path: PHOTOS_PATH,
+    content: JSON.stringify(photos, null, 2)
+  };
+}
+
+// 对上传的原始字节取 sha256，同一张图重复上传时哈希一致
+export function hashImage(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+export function findPhotoByHash(photos, hash) {
+  return photos.find(photo => photo.hash === hash) || null;
+}
+
+// 序号取清单里同一天已有的最大序号 + 1，哈希后缀保证并发上传时也不会撞 ID
+export function nextPhotoId(photos, { date, hash }) {
+  const pattern = new RegExp(`^photo-${date}-(\\d{3,})(?:-|$)`);
+  const maxSequence = photos.reduce((max, photo) => {
+    const match = pattern.exec(photo.id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+
+  const sequence = String(maxSequence + 1).padStart(3, '0');
+  return `photo-${date}-${sequence}-${hash.slice(0, HASH_PREFIX_LENGTH)}`;
+}
+
+// 同 id 的照片原地替换，新照片放在数组开头
+export function mergePhoto(photos, photoData) {
+  const existingIndex = photos.findIndex(photo => photo.id === photoData.id);
+  if (existingIndex >= 0) {
+    return photos.map((photo, index) => (index === existingIndex ? photoData : photo));
+  }
+  return [photoData, ...photos];
+}
+
+// 可以在上传后修改的 meta 字段；ratio、exif 等由服务端生成，不接受手改
+export const EDITABLE_META_FIELDS = ['alt', 'caption', 'location'];
+
+export function findPhotoById(photos, id) {
+  return photos.find(photo => photo.id === id) || null;
+}
+
+export function removePhoto(photos, id) {
+  return photos.filter(photo => photo.id !== id);
+}
+
+// variants 里的 URL 转成仓库路径，只认照片目录下的文件，防止清单被改坏后删到别处
+export function photoFilePaths(photo) {
+  return (photo.variants || [])
+    .map(url => String(url).replace(/^\//, ''))
+    .filter(path => path.startsWith('images/photos/') && !path.includes('..'));
+}
+
+// 解码、读取 EXIF、生成变体；返回的条目还没有 ID，路径也可能在提交时改名
+// 图片无法解析时抛出 status 为 400 的 Error
+export async function preparePhoto({ imageBuffer, imageType, filename, photoData }) {
+  const hash = hashImage(imageBuffer);
+  const { generatedFilename, dateNum } = generatePhotoNaming(filename, photoData.meta.alt || 'photo');
+  const extension = resolveOriginalExtension(imageType);
+  const basePath = `images/photos/${generatedFilename.replace(/\.[^.]+$/, '')}`;
+
+  // 先从原图读出拍摄信息，之后的处理会把 EXIF 去掉
+  const { exif, location } = await readPhotoMetadata(imageBuffer);
+
+  // 解码并生成各尺寸变体，同时去掉 EXIF（含 GPS）
+  let processed;
+  try {
+    processed = await processImage(imageBuffer, { basePath, extension });
+  } catch (error) {
+    console.error('图片解码失败:', error);
+    const decodeError = new Error('无法解析图片，请换一张试试');
+    decodeError.status = 400;
+    throw decodeError;
+  }
+
+  const meta = { ...photoData.meta, ratio: processed.ratio };
+
+  // 手填的地点优先；taken 统一成 UTC 方便 photos.html 按字符串排序，没有拍摄时间时退回上传时间
+  if (exif) {
+    meta.exif = exif;
+  }
+  if (!meta.location && location) {
+    meta.location = location;
+  }
+  const taken = new Date((exif && exif.takenAt) || photoData.uploaded);
+
+  return {
+    hash,
+    date: dateNum,
+    basePath,
+    photoData: {
+      ...photoData,
+      hash,
+      taken: (Number.isNaN(taken.getTime()) ? new Date() : taken).toISOString(),
+      dimensions: processed.dimensions,
+      meta
+    },
+    files: processed.files
+  };
+}
+
+// 把准备好的照片放进清单：按哈希查重、分配 ID、解决文件路径冲突
+// items 的 files 可以带 content，也可以只带已上传 blob 的 sha；返回待提交的文件和每张照片的结果
+export async function placePhotos(github, { ref, photos, items }) {
+  let nextPhotos = photos;
+  const files = [];
+  const reserved = new Set();
+
+  const results = [];
+  for (const item of items) {
+    const duplicate = findPhotoByHash(nextPhotos, item.hash);
+    if (duplicate) {
+      const existingPath = (duplicate.variants || [])[0];
+      results.push({
+        hash: item.hash,
+        duplicate: true,
+        photo: duplicate,
+        imagePath: existingPath ? existingPath.replace(/^\//, '') : null
+      });
+      continue;
+    }
+
+    const id = nextPhotoId(nextPhotos, { date: item.date, hash: item.hash });
+
+    // 同一批里文件名重复时先换成带哈希的名字；原图路径被占用时，所有变体跟着改用同一个新前缀
+    const originalSuffix = item.files[0].path.slice(item.basePath.length);
+    const preferredBase = reserved.has(item.files[0].path)
+      ? `${item.basePath}-${item.hash.slice(0, HASH_PREFIX_LENGTH)}`
+      : item.basePath;
+    const imagePath = await github.resolveAvailablePath(`${preferredBase}${originalSuffix}`, { ref, reserved });
+    const resolvedBase = imagePath.slice(0, imagePath.lastIndexOf('.'));
+    const imageFiles = item.files.map(file => ({
+      ...file,
+      path: `${resolvedBase}${file.path.slice(item.basePath.length)}`
+    }));
+    imageFiles.forEach(file => reserved.add(file.path));
+
+    const variants = imageFiles.map(file => `/${file.path}`);
+    const photo = { ...item.photoData, id, variants };
+
+    files.push(...imageFiles);
+    nextPhotos = mergePhoto(nextPhotos, photo);
+    results.push({ hash: item.hash, duplicate: false, photo, imagePath });
+  }
+
+  return { files, photos: nextPhotos, results };
+}
+
+// 生成统一的照片文件名和日期；ID 要对照 photos.json 计算，提交时再生成
+function generatePhotoNaming(originalFilename, altText, now = new Date()) {
+  const dateStr = formatSiteDay(now); // YYYY-MM-DD
+  const dateNum = dateStr.replace(/-/g, ''); // YYYYMMDD
+
+  // 生成描述性slug
+  let description = altText || 'photo';
+  description = description
+    .toLowerCase()
+    .replace(/[^\u4e00-\u9fa5a-zA-Z0-9\s]/g, '') // 保留中英文数字空格
+    .replace(/\s+/g, '-') // 空格替换为短横线
+    .substring(0, 30); // 限制长度
+
+  if (!description) {
+    description = 'photo';
+  }
+
+  // 生成文件名
+  const fileExtension = originalFilename.split('.').pop() || 'jpg';
+  const generatedFilename = `${dateStr}-${description}.${fileExtension}`;
+
+  return {
+    generatedFilename,
+    dateNum
+  };
+}
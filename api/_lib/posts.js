@@ -0,0 +1,176 @@
+// 文章的发布时间、slug 与 front matter 生成，供创建和修订接口共用
+
+import { formatSiteDateTime, formatSiteIso, fromSiteTime, zonedParts } from './timezone.js';
+import { parseYamlScalar, stringifyFrontMatter } from './yaml.js';
+
+// providedDate 为站点时区的 `YYYY/MM/DD HH:mm`，缺省或无效时用 now
+export function buildPublishInfo(providedDate, now = new Date()) {
+  const pattern = /^(\d{4})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2})$/;
+  let baseDate = null;
+
+  if (typeof providedDate === 'string' && pattern.test(providedDate)) {
+    const [, year, month, day, hour, minute] = pattern.exec(providedDate);
+    baseDate = fromSiteTime({ year, month, day, hour, minute });
+  }
+
+  if (!baseDate) {
+    baseDate = now;
+  }
+
+  const { year, month, day, hour, minute } = zonedParts(baseDate);
+
+  return {
+    frontMatter: formatSiteDateTime(baseDate),
+    filenameBase: `${year}-${month}-${day}-${hour}${minute}-post`,
+    iso: formatSiteIso(new Date(Math.floor(baseDate.getTime() / 60000) * 60000))
+  };
+}
+
+// extraFrontMatter 为原样保留的未知字段（每项是一段完整的 YAML 原文）；
+// explicitSlug 为 true 时总是写出 slug，修订已有文章时避免链接变化
+// layout 和 openHeart 缺省时是新文章的默认值，传 null 表示不写这一项（修订时沿用 parsePostMarkdown 读到的值）
+export function createMarkdown({
+  title,
+  body,
+  slug,
+  lang,
+  feature,
+  image,
+  imageText,
+  date,
+  layout = 'default',
+  openHeart = true,
+  explicitSlug = false,
+  extraFrontMatter = []
+}) {
+  const trimmedImage = image ? String(image).trim() : '';
+  const trimmedImageText = imageText ? String(imageText).trim() : '';
+
+  const frontMatter = stringifyFrontMatter({
+    title,
+    layout: layout ?? undefined,
+    open_heart: openHeart ?? undefined,
+    date,
+    feature: feature ? 1 : undefined,
+    lang: lang && lang !== 'zh-CN' ? lang : undefined,
+    image: trimmedImage || undefined,
+    image_text: trimmedImageText || undefined,
+    slug: slug && (explicitSlug || slug !== generateSlug(title)) ? slug : undefined
+  }, { rawLines: extraFrontMatter });
+
+  return `${frontMatter}\n${body.trim()}\n`;
+}
+
+// image 和 image_text 可选，提供时必须是字符串；返回错误信息，没有问题时返回 null
+export function checkPostImageFields({ image, image_text: imageText } = {}) {
+  for (const [name, value] of [['image', image], ['image_text', imageText]]) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return `${name} 必须是字符串`;
+    }
+  }
+  return null;
+}
+
+export function generateSlug(source) {
+  if (!source) return `post-${Date.now().toString().slice(-6)}`;
+  const clean = String(source)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\u4e00-\u9fa5a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  return clean || `post-${Date.now().toString().slice(-6)}`;
+}
+
+export function isValidFilename(value) {
+  if (typeof value !== 'string') return false;
+  if (!value.endsWith('.md')) return false;
+  if (value.includes('/') || value.includes('..')) return false;
+  return /-post-/.test(value);
+}
+
+const KNOWN_POST_KEYS = new Set([
+  'title',
+  'layout',
+  'open_heart',
+  'date',
+  'feature',
+  'lang',
+  'image',
+  'image_text',
+  'slug'
+]);
+
+// 解析已有文章：已知字段转成 createMarkdown 的参数，未知字段按原文保留
+export function parsePostMarkdown(markdown) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/.exec(markdown);
+  if (!match) {
+    return null;
+  }
+
+  const entries = [];
+  for (const line of match[1].split(/\r?\n/)) {
+    const keyMatch = /^([A-Za-z_][\w-]*):(?:\s+(.*)|\s*)$/.exec(line);
+    if (keyMatch) {
+      entries.push({ key: keyMatch[1], value: keyMatch[2] || '', lines: [line] });
+    } else if (entries.length > 0) {
+      // 缩进行、列表项等归属于上一个字段
+      entries[entries.length - 1].lines.push(line);
+    }
+  }
+
+  const fields = {};
+  const extraFrontMatter = [];
+
+  entries.forEach(entry => {
+    if (KNOWN_POST_KEYS.has(entry.key) && entry.lines.length === 1) {
+      fields[entry.key] = parseYamlScalar(entry.value);
+    } else {
+      extraFrontMatter.push(entry.lines.join('\n').replace(/\s+$/, ''));
+    }
+  });
+
+  return {
+    title: fields.title || '',
+    date: fields.date,
+    layout: fields.layout ?? null,
+    openHeart: fields.open_heart === undefined || fields.open_heart === null
+      ? null
+      : /^(?:true|yes|on)$/i.test(fields.open_heart),
+    slug: fields.slug,
+    lang: fields.lang || 'zh-CN',
+    feature: fields.feature === '1' || fields.feature === 'true',
+    image: fields.image || '',
+    imageText: fields.image_text || '',
+    body: match[2].replace(/^\s*\n/, '').replace(/\s+$/, ''),
+    extraFrontMatter
+  };
+}
+
+// Jekyll 在没有 slug 时用文件名中日期之后的部分生成链接
+export function slugFromFilename(filename) {
+  return filename.replace(/^\d{4}-\d{2}-\d{2}-/, '').replace(/\.md$/, '');
+}
+
+// 只接受 _posts 目录下的文件名，拒绝任何路径穿越
+export function resolvePostPath(filename) {
+  return resolveMarkdownPath('_posts', filename);
+}
+
+// 草稿放在 _drafts/，文件名不带日期，发布时再按发布时间命名
+export function resolveDraftPath(filename) {
+  return resolveMarkdownPath('_drafts', filename);
+}
+
+function resolveMarkdownPath(dir, filename) {
+  if (typeof filename !== 'string') return null;
+
+  const value = filename.trim().replace(new RegExp(`^${dir}/`), '');
+  if (!value.endsWith('.md')) return null;
+  if (value.includes('/') || value.includes('..')) return null;
+
+  return `${dir}/${value}`;
+}
+
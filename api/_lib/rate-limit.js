@@ -0,0 +1,47 @@
+// 写入接口的限流与失败锁定，计数存放在 store.js 提供的存储里
+
+// 固定窗口计数：每个 IP、每个令牌在窗口内的请求上限；同一 IP 连续认证失败达到上限后锁定一段时间
+export const RATE_LIMITS = {
+  ip: { limit: 30, windowMs: 60 * 1000 },
+  token: { limit: 60, windowMs: 60 * 1000 },
+  failures: { limit: 5, windowMs: 15 * 60 * 1000, lockoutMs: 15 * 60 * 1000 }
+};
+
+// Vercel 把真实客户端地址放在 x-forwarded-for 的第一项
+export function clientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded
+    || req.headers['x-real-ip']
+    || (req.socket && req.socket.remoteAddress)
+    || 'unknown';
+}
+
+// 在窗口内计一次数；超限时返回还需等待的毫秒数，否则返回 0
+export async function consumeRateLimit(store, key, { limit, windowMs }, now = Date.now()) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const count = await store.increment(`rl:${key}:${windowStart}`, windowMs);
+  return count > limit ? windowStart + windowMs - now : 0;
+}
+
+// 仍在锁定期时返回剩余毫秒数
+export async function lockoutRemaining(store, ip, now = Date.now()) {
+  const lockedUntil = Number(await store.get(`lock:${ip}`));
+  return lockedUntil > now ? lockedUntil - now : 0;
+}
+
+// 记一次认证失败，达到上限时锁定该 IP，返回锁定时长（未锁定为 0）
+export async function recordFailure(store, ip, now = Date.now()) {
+  const { limit, windowMs, lockoutMs } = RATE_LIMITS.failures;
+  const failures = await store.increment(`fail:${ip}`, windowMs);
+  if (failures < limit) {
+    return 0;
+  }
+
+  await store.set(`lock:${ip}`, now + lockoutMs, lockoutMs);
+  await store.delete(`fail:${ip}`);
+  return lockoutMs;
+}
+
+export async function clearFailures(store, ip) {
+  await store.delete(`fail:${ip}`);
+}
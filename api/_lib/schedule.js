@@ -0,0 +1,151 @@
+// 定时发布队列：未来时间的文章和笔记先写进仓库里的 JSON 清单，到点后由定时任务统一提交
+// 清单放在下划线目录下，Jekyll 不会把它输出到站点
+
+import { randomUUID } from 'crypto';
+import { renameNoteImages } from './note-images.js';
+import { findAvailableNotePath, noteUrl } from './notes.js';
+import { fromSiteTime } from './timezone.js';
+
+export const SCHEDULE_PATH = '_scheduled/queue.json';
+
+// 距离现在不足这个时间的发布视为立即发布
+const SCHEDULE_THRESHOLD = 60 * 1000;
+const SCHEDULE_DATE_PATTERN = /^(\d{4})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2})$/;
+
+// 解析 `YYYY/MM/DD HH:mm`（站点时区），格式不对或日期不存在时返回 null
+export function parseScheduleDate(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = SCHEDULE_DATE_PATTERN.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match;
+  return fromSiteTime({ year, month, day, hour, minute });
+}
+
+export function isFutureDate(date, now = new Date()) {
+  return date instanceof Date && date.getTime() - now.getTime() > SCHEDULE_THRESHOLD;
+}
+
+export async function readQueue(github, { ref } = {}) {
+  const file = await github.getFile(SCHEDULE_PATH, ref ? { ref } : undefined);
+  return file ? JSON.parse(file.content.toString('utf8')) : [];
+}
+
+function queueFile(jobs) {
+  return {
+    path: SCHEDULE_PATH,
+    content: `${JSON.stringify(jobs, null, 2)}\n`
+  };
+}
+
+// 加入队列；job 需包含 type、publishAt、path、content、message、url
+// files 是和队列一起提交的附带文件（如笔记图片），它们现在就进仓库，只是到点前没有页面引用
+export async function enqueueJob(github, job, { files = [] } = {}) {
+  const entry = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    ...job
+  };
+
+  const commitResult = await github.commitWithRetry({
+    message: `chore: Schedule ${entry.type} ${entry.path}`,
+    buildFiles: async head => {
+      const jobs = await readQueue(github, { ref: head.sha });
+      const next = [...jobs.filter(item => item.id !== entry.id), entry]
+        .sort((a, b) => a.publishAt.localeCompare(b.publishAt));
+      return [...files, queueFile(next)];
+    }
+  });
+
+  return { job: entry, commit: commitResult.sha };
+}
+
+// 任务对应的令牌权限：笔记要 notes，文章要 posts
+export function jobScope(job) {
+  return job.type === 'note' ? 'notes' : 'posts';
+}
+
+// 取消队列中的任务，不存在时返回 null
+export async function cancelJob(github, id) {
+  let cancelled = null;
+
+  const head = await github.getHead();
+  const jobs = await readQueue(github, { ref: head.sha });
+  if (!jobs.some(item => item.id === id)) {
+    return null;
+  }
+
+  const commitResult = await github.commitWithRetry({
+    message: `chore: Cancel scheduled job ${id}`,
+    buildFiles: async latest => {
+      const current = await readQueue(github, { ref: latest.sha });
+      cancelled = current.find(item => item.id === id) || null;
+      // 读到最新队列时任务已经发布或被取消了，不提交
+      return cancelled ? [queueFile(current.filter(item => item.id !== id))] : null;
+    }
+  });
+
+  return commitResult ? { job: cancelled, commit: commitResult.sha } : null;
+}
+
+// 把到期任务和更新后的队列写进同一个提交
+export async function publishDueJobs(github, now = new Date()) {
+  let published = [];
+
+  const head = await github.getHead();
+  const jobs = await readQueue(github, { ref: head.sha });
+  if (!jobs.some(job => new Date(job.publishAt) <= now)) {
+    return { published, commit: null };
+  }
+
+  const commitResult = await github.commitWithRetry({
+    message: 'feat: Publish scheduled content',
+    buildFiles: async latest => {
+      const current = await readQueue(github, { ref: latest.sha });
+      const due = current.filter(job => new Date(job.publishAt) <= now);
+      const pending = current.filter(job => new Date(job.publishAt) > now);
+      const files = [];
+
+      published = [];
+      const reserved = new Set();
+      for (const job of due) {
+        // 笔记按 notes.js 的规则处理重名，同一分钟的笔记依次加 `-2`、`-3`
+        const path = job.type === 'note'
+          ? await findAvailableNotePath(job.path, candidate => reserved.has(candidate) || github.getFile(candidate, { ref: latest.sha }))
+          : await github.resolveAvailablePath(job.path, { ref: latest.sha, reserved });
+        reserved.add(path);
+
+        // 笔记改用 `-2` 等文件名时，入队时已提交的附图按 blob 挪到新名字下，正文引用一并改写
+        let { content } = job;
+        if (job.type === 'note') {
+          const renaming = renameNoteImages(content, { from: basename(job.path), to: basename(path) });
+          content = renaming.content;
+          for (const image of renaming.renamed) {
+            const file = await github.getFile(image.from, { ref: latest.sha });
+            if (file) {
+              files.push({ path: image.to, sha: file.sha }, { path: image.from, content: null });
+            }
+          }
+        }
+
+        files.push({ path, content });
+        published.push({ id: job.id, type: job.type, path, url: job.type === 'note' ? noteUrl(path) : job.url });
+      }
+
+      return [...files, queueFile(pending)];
+    }
+  });
+
+  return { published, commit: commitResult.sha };
+}
+
+function basename(path) {
+  return path.split('/').pop().replace(/\.md$/, '');
+}
+
+// 列表接口不返回正文，避免响应过大
+export function summarizeJob(job) {
+  const { content, ...summary } = job;
+  return summary;
+}
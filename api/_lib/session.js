@@ -0,0 +1,129 @@
+// 通行密钥登录后的会话 Cookie，以及 WebAuthn 挑战值 Cookie
+// 两者都不在服务端保存：内容用 SESSION_SECRET 做 HMAC 签名，过期时间写在内容里
+// 更换 SESSION_SECRET 会让所有会话立即失效
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const SESSION_COOKIE = 'write_session';
+export const CHALLENGE_COOKIE = 'passkey_challenge';
+
+export const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+export const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// 只发给 /api 下的接口；SameSite=Strict 让跨站请求带不上 Cookie
+const COOKIE_ATTRIBUTES = 'Path=/api; HttpOnly; Secure; SameSite=Strict';
+
+export function parseCookies(req) {
+  const cookies = {};
+  String(req.headers.cookie || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    if (name && !(name in cookies)) {
+      cookies[name] = safeDecode(part.slice(index + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+// 载荷里的 kind 一起参与签名，挑战值 Cookie 不能拿来冒充会话
+export function signValue(kind, payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+  return `${body}.${signature(kind, body, secret)}`;
+}
+
+export function verifySignedValue(kind, value, secret, now = Date.now()) {
+  if (!value || typeof value !== 'string' || !secret) return null;
+
+  const [body, presented] = value.split('.');
+  if (!body || !presented) return null;
+
+  const expected = Buffer.from(signature(kind, body, secret), 'base64url');
+  const actual = Buffer.from(presented, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || typeof payload.exp !== 'number' || payload.exp <= now) {
+    return null;
+  }
+  return payload;
+}
+
+// session 为 { name, scopes, sourceToken }，name 是登录所用通行密钥的名字，sourceToken 是注册它的访问密钥
+export function issueSession(res, session, { secret, now = Date.now() }) {
+  const payload = {
+    name: session.name,
+    scopes: session.scopes,
+    sourceToken: session.sourceToken,
+    exp: now + SESSION_TTL_MS
+  };
+  appendCookie(res, serializeCookie(SESSION_COOKIE, signValue('session', payload, secret), SESSION_TTL_MS));
+  return payload;
+}
+
+export function readSession(req, { secret, now = Date.now() }) {
+  const payload = verifySignedValue('session', parseCookies(req)[SESSION_COOKIE], secret, now);
+  // 没有 sourceToken 的旧会话无法核对源令牌，按未登录处理
+  if (!payload || typeof payload.name !== 'string' || !Array.isArray(payload.scopes) || typeof payload.sourceToken !== 'string') {
+    return null;
+  }
+  return payload;
+}
+
+// 返回给前端的会话信息，不含签名
+export function describeSession(session) {
+  return {
+    name: session.name,
+    scopes: session.scopes,
+    expiresAt: new Date(session.exp).toISOString()
+  };
+}
+
+export function clearSession(res) {
+  appendCookie(res, serializeCookie(SESSION_COOKIE, '', 0));
+}
+
+// challenge 由 WebAuthn 选项生成；purpose 区分注册和登录，一个流程的挑战值不能用在另一个流程上
+export function issueChallenge(res, purpose, challenge, { secret, now = Date.now() }) {
+  const payload = { purpose, challenge, exp: now + CHALLENGE_TTL_MS };
+  appendCookie(res, serializeCookie(CHALLENGE_COOKIE, signValue('challenge', payload, secret), CHALLENGE_TTL_MS));
+  return payload;
+}
+
+// 取出后立即清掉 Cookie，挑战值只能用一次
+export function takeChallenge(req, res, purpose, { secret, now = Date.now() }) {
+  const payload = verifySignedValue('challenge', parseCookies(req)[CHALLENGE_COOKIE], secret, now);
+  appendCookie(res, serializeCookie(CHALLENGE_COOKIE, '', 0));
+  return payload && payload.purpose === purpose ? payload : null;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function signature(kind, body, secret) {
+  return createHmac('sha256', secret).update(`${kind}.${body}`).digest('base64url');
+}
+
+function serializeCookie(name, value, maxAgeMs) {
+  return `${name}=${encodeURIComponent(value)}; Max-Age=${Math.floor(maxAgeMs / 1000)}; ${COOKIE_ATTRIBUTES}`;
+}
+
+// 同一个响应可能同时设置会话和清除挑战值，不能互相覆盖
+function appendCookie(res, cookie) {
+  const existing = res.getHeader ? res.getHeader('Set-Cookie') : undefined;
+  const cookies = existing ? [].concat(existing) : [];
+  res.setHeader('Set-Cookie', [...cookies, cookie]);
+}
@@ -0,0 +1,105 @@
+// 限流、幂等等短期状态的键值存储
+// 配置了 KV_REST_API_URL / KV_REST_API_TOKEN（Vercel KV / Upstash）时用 KV，
+// 否则退回进程内存——只在单个函数实例内生效，适合本地开发和测试
+
+// 存储接口：increment(key, ttlMs) 返回自增后的值，键首次出现时设置过期时间；
+// setIfAbsent(key, value, ttlMs) 仅在键不存在时写入并返回 true；
+// get(key) 返回写入时的字符串（KV 中的数字也以字符串返回），不存在时为 null；set(key, value, ttlMs)、delete(key)
+export function createMemoryStore({ now = () => Date.now() } = {}) {
+  const entries = new Map();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    async increment(key, ttlMs) {
+      const entry = read(key) || { value: 0, expiresAt: now() + ttlMs };
+      entry.value = Number(entry.value) + 1;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      if (read(key)) return false;
+      entries.set(key, { value: String(value), expiresAt: now() + ttlMs });
+      return true;
+    },
+    async get(key) {
+      const entry = read(key);
+      return entry ? String(entry.value) : null;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value: String(value), expiresAt: now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// Upstash REST 协议，一次请求用 pipeline 发多条命令
+export function createKvStore({ url, token, fetch = globalThis.fetch }) {
+  async function pipeline(commands) {
+    const response = await fetch(`${url.replace(/\/$/, '')}/pipeline`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(commands)
+    });
+
+    if (!response.ok) {
+      throw new Error(`KV 请求失败: ${response.status}`);
+    }
+
+    const results = await response.json();
+    const failed = results.find(item => item.error);
+    if (failed) {
+      throw new Error(`KV 命令失败: ${failed.error}`);
+    }
+    return results.map(item => item.result);
+  }
+
+  return {
+    async increment(key, ttlMs) {
+      // SET NX 只在键不存在时建键并带上过期时间，INCR 不会改动已有的过期时间
+      const [, value] = await pipeline([
+        ['SET', key, '0', 'PX', String(ttlMs), 'NX'],
+        ['INCR', key]
+      ]);
+      return Number(value);
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      const [result] = await pipeline([['SET', key, String(value), 'PX', String(ttlMs), 'NX']]);
+      return result === 'OK';
+    },
+    async get(key) {
+      const [value] = await pipeline([['GET', key]]);
+      return value === null || value === undefined ? null : String(value);
+    },
+    async set(key, value, ttlMs) {
+      await pipeline([['SET', key, String(value), 'PX', String(ttlMs)]]);
+    },
+    async delete(key) {
+      await pipeline([['DEL', key]]);
+    }
+  };
+}
+
+let defaultStore = null;
+
+export function getDefaultStore(env = process.env) {
+  if (!defaultStore) {
+    defaultStore = env.KV_REST_API_URL && env.KV_REST_API_TOKEN
+      ? createKvStore({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN })
+      : createMemoryStore();
+  }
+  return defaultStore;
+}
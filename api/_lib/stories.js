@@ -0,0 +1,207 @@
+// 快拍过期与归档：快拍发出 24 小时后离开 /stories.json
+// 带 Highlight 标签的留在 _data/stories.json，继续出现在精选合集里，/stories/{id} 页面也保留；
+// 其余的移到按月的归档文件 _data/stories_archive/YYYY-MM.json，页面随之删除，
+// 原地址留一个跳转到首页的页面，和 scripts/notes/migrate-note-filenames.sh 改名笔记的做法一样
+
+import { formatSiteDay } from './timezone.js';
+import { stringifyFrontMatter } from './yaml.js';
+
+export const STORIES_PATH = '_data/stories.json';
+export const STORIES_DIR = '_stories';
+export const STORIES_ARCHIVE_DIR = '_data/stories_archive';
+export const STORY_REDIRECTS_DIR = 'redirects/stories';
+
+export const STORY_LIFETIME = 24 * 60 * 60 * 1000;
+
+const HIGHLIGHT_TAG = 'Highlight';
+// 和 feeds/stories.json 的筛选保持一致：最新的 10 条 Life 快拍里未过期的
+const FEED_TAG = 'Life';
+const FEED_LIMIT = 10;
+
+export function isHighlight(story) {
+  return storyTags(story).includes(HIGHLIGHT_TAG);
+}
+
+// uploaded 缺失或无法解析的快拍不算过期，留给人工处理
+export function isStoryExpired(story, now = new Date()) {
+  const uploaded = uploadedTime(story);
+  return uploaded !== null && now.getTime() - uploaded >= STORY_LIFETIME;
+}
+
+// 此刻 /stories.json 应该列出的快拍 id，顺序和订阅一致；没有上传时间的订阅模板也不会列出
+export function liveFeedIds(stories, now = new Date()) {
+  return [...stories]
+    .filter(story => storyTags(story).includes(FEED_TAG) && uploadedTime(story) !== null)
+    .sort((a, b) => String(b.uploaded).localeCompare(String(a.uploaded)))
+    .slice(0, FEED_LIMIT)
+    .filter(story => !isStoryExpired(story, now))
+    .map(story => String(story.id));
+}
+
+// 按站点时区的上传月份归档
+export function archivePathFor(story) {
+  return `${STORIES_ARCHIVE_DIR}/${formatSiteDay(new Date(story.uploaded)).slice(0, 7)}.json`;
+}
+
+// 返回 { stories, archives }：stories 是留下的快拍，archives 以归档路径为键，值是要移过去的快拍
+export function planStoryArchive(stories, now = new Date()) {
+  const kept = [];
+  const archives = new Map();
+
+  for (const story of stories) {
+    if (!isStoryExpired(story, now) || isHighlight(story)) {
+      kept.push(story);
+      continue;
+    }
+
+    const path = archivePathFor(story);
+    if (!archives.has(path)) {
+      archives.set(path, []);
+    }
+    archives.get(path).push(story);
+  }
+
+  return { stories: kept, archives };
+}
+
+// 归档快拍原页面 /stories/{id} 的跳转页，用 _layouts/redirect.html 跳到首页的快拍
+export function storyRedirectFile(story) {
+  return {
+    path: `${STORY_REDIRECTS_DIR}/${story.id}.html`,
+    content: stringifyFrontMatter({
+      layout: 'redirect',
+      permalink: `/stories/${story.id}`,
+      redirect_to: '/',
+      sitemap: false
+    })
+  };
+}
+
+export async function readStories(github, { ref } = {}) {
+  return readJsonList(github, STORIES_PATH, { ref });
+}
+
+// 过期的非精选快拍、归档文件和要删除的页面放在同一个提交里；没有可归档的快拍时不提交
+export async function archiveExpiredStories(github, now = new Date()) {
+  let archived = [];
+
+  const head = await github.getHead();
+  const stories = await readStories(github, { ref: head.sha });
+  if (planStoryArchive(stories, now).archives.size === 0) {
+    return { archived, commit: null };
+  }
+
+  const commitResult = await github.commitWithRetry({
+    message: 'chore: Archive expired stories',
+    buildFiles: async latest => {
+      const current = await readStories(github, { ref: latest.sha });
+      const plan = planStoryArchive(current, now);
+      if (plan.archives.size === 0) {
+        return null;
+      }
+
+      const pages = new Set((await github.listDirectory(STORIES_DIR, { ref: latest.sha })).map(entry => entry.path));
+      const files = [{ path: STORIES_PATH, content: JSON.stringify(plan.stories) }];
+
+      archived = [];
+      for (const [path, moved] of plan.archives) {
+        // 重试时快拍可能已经在归档里了，按 id 去重
+        const existing = await readJsonList(github, path, { ref: latest.sha });
+        const ids = new Set(moved.map(story => String(story.id)));
+        const merged = [...existing.filter(story => !ids.has(String(story.id))), ...moved]
+          .sort((a, b) => String(a.uploaded).localeCompare(String(b.uploaded)));
+        files.push({ path, content: `${JSON.stringify(merged, null, 2)}\n` });
+
+        for (const story of moved) {
+          const page = `${STORIES_DIR}/${story.id}.md`;
+          if (pages.has(page)) {
+            files.push({ path: page, content: null }, storyRedirectFile(story));
+          }
+          archived.push({ id: String(story.id), archive: path });
+        }
+      }
+
+      return files;
+    }
+  });
+
+  if (!commitResult) {
+    return { archived: [], commit: null };
+  }
+
+  return { archived, commit: commitResult.sha };
+}
+
+// 读线上的 /stories.json，取出其中的快拍 id；读不到时返回 null
+export async function fetchDeployedFeedIds(feedUrl, { fetch = globalThis.fetch } = {}) {
+  try {
+    const response = await fetch(feedUrl, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      console.warn(`读取 ${feedUrl} 失败: HTTP ${response.status}`);
+      return null;
+    }
+
+    const feed = await response.json();
+    return Array.isArray(feed.items) ? feed.items.map(item => String(item.id)) : null;
+  } catch (error) {
+    console.warn(`读取 ${feedUrl} 失败:`, error.message);
+    return null;
+  }
+}
+
+// 归档并在订阅内容变化时让站点重新构建，返回 { archived, commit, rebuild }
+// rebuild：'commit' 表示归档提交本身会触发部署；'deploy-hook' 表示已调用部署钩子；
+// 'not-configured' 表示订阅该更新了但没有配置钩子；'unknown' 表示线上订阅读不到；null 表示无需重建
+export async function expireStories(github, { now = new Date(), fetch = globalThis.fetch, feedUrl, deployHookUrl } = {}) {
+  const result = await archiveExpiredStories(github, now);
+  if (result.commit) {
+    return { ...result, rebuild: 'commit' };
+  }
+
+  const deployedIds = await fetchDeployedFeedIds(feedUrl, { fetch });
+  if (!deployedIds) {
+    return { ...result, rebuild: 'unknown' };
+  }
+
+  const liveIds = liveFeedIds(await readStories(github), now);
+  if (sameList(deployedIds, liveIds)) {
+    return { ...result, rebuild: null };
+  }
+
+  if (!deployHookUrl) {
+    console.warn('快拍订阅已过期，但没有配置 DEPLOY_HOOK_URL，无法触发重新构建');
+    return { ...result, rebuild: 'not-configured' };
+  }
+
+  const response = await fetch(deployHookUrl, { method: 'POST' });
+  if (!response.ok) {
+    const error = new Error(`部署钩子返回 HTTP ${response.status}`);
+    error.deployHook = true;
+    throw error;
+  }
+
+  return { ...result, rebuild: 'deploy-hook' };
+}
+
+async function readJsonList(github, path, { ref } = {}) {
+  const file = await github.getFile(path, ref ? { ref } : undefined);
+  if (!file) {
+    return [];
+  }
+
+  const list = JSON.parse(file.content.toString('utf8'));
+  return Array.isArray(list) ? list : [];
+}
+
+function uploadedTime(story) {
+  const time = new Date(story && story.uploaded).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+function storyTags(story) {
+  return story && story.meta && Array.isArray(story.meta.tags) ? story.meta.tags : [];
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((value, index) => value === b[index]);
+}
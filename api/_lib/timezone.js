@@ -0,0 +1,130 @@
+// 站点时区：文件名、front matter 里的日期和“不带时区的时间”都按 _config.yml 的 timezone 解释
+// 结果只取决于配置，与服务器或 Actions runner 的 TZ 无关；接口和工作流脚本共用这一份
+// 这里不能引入 npm 依赖，工作流脚本不装依赖直接运行
+
+import fs from 'fs';
+
+const DEFAULT_TIME_ZONE = 'Asia/Shanghai';
+const CONFIG_URL = new URL('../../_config.yml', import.meta.url);
+const TIME_ZONE_PATTERN = /^timezone:\s*["']?([\w+\-/]+)["']?\s*(?:#.*)?$/m;
+
+const formatters = new Map();
+
+// 读取 _config.yml 的 timezone；文件不在（比如函数打包时漏了）或没配置时退回上海时间
+export function readSiteTimeZone(configUrl = CONFIG_URL) {
+  try {
+    const match = TIME_ZONE_PATTERN.exec(fs.readFileSync(configUrl, 'utf8'));
+    if (match && isValidTimeZone(match[1])) {
+      return match[1];
+    }
+  } catch (error) {
+    console.warn('读取 _config.yml 的 timezone 失败:', error.message);
+  }
+  return DEFAULT_TIME_ZONE;
+}
+
+export const SITE_TIME_ZONE = readSiteTimeZone();
+
+export function isValidTimeZone(value) {
+  if (typeof value !== 'string' || !value) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 某一时刻在站点时区里的年月日时分秒，都是补零后的字符串
+export function zonedParts(date, timeZone = SITE_TIME_ZONE) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = value;
+    }
+  }
+  return parts;
+}
+
+// `2025/10/29 15:30`，文章和笔记 front matter 里 date 的写法
+export function formatSiteDateTime(date, timeZone = SITE_TIME_ZONE) {
+  const { year, month, day, hour, minute } = zonedParts(date, timeZone);
+  return `${year}/${month}/${day} ${hour}:${minute}`;
+}
+
+// `2025-10-29`，用在文件名里
+export function formatSiteDay(date, timeZone = SITE_TIME_ZONE) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+// `2025-10-29T15:30:00+08:00`
+export function formatSiteIso(date, timeZone = SITE_TIME_ZONE) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${formatOffset(offsetMinutes(date, timeZone))}`;
+}
+
+// 站点时区里的墙上时间转成时刻；日期不存在（如 2 月 30 日，或夏令时跳过的那一小时）时返回 null
+export function fromSiteTime({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = SITE_TIME_ZONE) {
+  const wall = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  if (Number.isNaN(wall)) return null;
+
+  // 先按墙上时间那一刻的偏移猜，再用猜出的时刻的偏移校正一次，夏令时切换前后也能对上
+  let instant = wall - offsetMinutes(new Date(wall), timeZone) * 60000;
+  instant = wall - offsetMinutes(new Date(instant), timeZone) * 60000;
+
+  const result = new Date(instant);
+  const check = zonedParts(result, timeZone);
+  const matches = Number(check.year) === Number(year)
+    && Number(check.month) === Number(month)
+    && Number(check.day) === Number(day)
+    && Number(check.hour) === Number(hour)
+    && Number(check.minute) === Number(minute);
+  return matches ? result : null;
+}
+
+// 解析 `2025/10/29 15:30`、`2025-10-29 15:30:00`、`2025-10-29T15:30`，可带 `Z` 或 `+08:00`
+// 不带时区的按站点时区解释；格式不对时返回 null
+export function parseSiteDateTime(value, timeZone = SITE_TIME_ZONE) {
+  const match = /^(\d{4})[-/](\d{2})[-/](\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?\s*(Z|[+-]\d{2}:?\d{2})?$/
+    .exec(String(value || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = '00', offset] = match;
+  if (!offset) {
+    return fromSiteTime({ year, month, day, hour, minute, second }, timeZone);
+  }
+
+  const zone = offset === 'Z' ? 'Z' : offset.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+  const parsed = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function offsetMinutes(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
@@ -0,0 +1,153 @@
+// 照片上传请求的解析：优先接收原始二进制请求体，元数据放在请求头里
+// 仍兼容旧的 JSON + base64 请求体；两种方式都先检查大小和类型，超限时不读完请求体就返回
+
+// Vercel 函数的请求体上限约 4.5MB，留一点余量给请求头
+export const MAX_PHOTO_BYTES = 4 * 1024 * 1024;
+
+export const ALLOWED_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif'];
+
+export const PHOTO_FILENAME_HEADER = 'x-photo-filename';
+export const PHOTO_DATA_HEADER = 'x-photo-data';
+
+// 返回 { imageBuffer, imageType, filename, photoData }；出错时抛出带 status 的 Error
+export async function readPhotoUpload(req, { maxBytes = MAX_PHOTO_BYTES } = {}) {
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  const declaredLength = Number(req.headers['content-length']);
+  if (Number.isFinite(declaredLength) && declaredLength > jsonAllowance(contentType, maxBytes)) {
+    throw uploadError(413, tooLargeMessage(maxBytes));
+  }
+
+  if (contentType === 'application/json') {
+    return readJsonUpload(req.body || {}, maxBytes);
+  }
+
+  if (!ALLOWED_PHOTO_TYPES.includes(contentType)) {
+    throw uploadError(415, '仅支持 JPEG、PNG、WebP、AVIF 图片');
+  }
+
+  const imageBuffer = await readRawBody(req, maxBytes);
+  if (imageBuffer.length === 0) {
+    throw uploadError(400, '无效的图片数据');
+  }
+
+  return {
+    imageBuffer,
+    imageType: contentType.slice('image/'.length),
+    filename: decodeHeader(req.headers[PHOTO_FILENAME_HEADER]),
+    photoData: parsePhotoData(decodeHeader(req.headers[PHOTO_DATA_HEADER]))
+  };
+}
+
+// 原始二进制上传在进入 runIdempotent 之前先读进 req.body，幂等指纹才能按图片内容区分请求
+// 超限时抛出带 status 的 Error；JSON 请求和不支持的类型原样放过，留给 readPhotoUpload 处理
+export async function bufferPhotoUpload(req, { maxBytes = MAX_PHOTO_BYTES } = {}) {
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!ALLOWED_PHOTO_TYPES.includes(contentType)) {
+    return;
+  }
+
+  const declaredLength = Number(req.headers['content-length']);
+  if (Number.isFinite(declaredLength) && declaredLength > maxBytes) {
+    throw uploadError(413, tooLargeMessage(maxBytes));
+  }
+
+  req.body = await readRawBody(req, maxBytes);
+}
+
+// 旧的 JSON 请求：`{ imageData: 'data:image/...;base64,...', filename, photoData }`
+function readJsonUpload(body, maxBytes) {
+  const { imageData, filename, photoData } = body;
+  return {
+    ...decodeImageData(imageData, { maxBytes }),
+    filename,
+    photoData
+  };
+}
+
+// 解码 `data:image/...;base64,...`，返回 { imageBuffer, imageType }；笔记附图也用这个格式
+export function decodeImageData(imageData, { maxBytes = MAX_PHOTO_BYTES } = {}) {
+  if (!imageData || typeof imageData !== 'string' || !imageData.startsWith('data:image/')) {
+    throw uploadError(400, '无效的图片数据');
+  }
+
+  const matches = imageData.match(/^data:(image\/[a-zA-Z+]+);base64,(.+)$/);
+  if (!matches) {
+    throw uploadError(400, '图片数据格式错误');
+  }
+
+  const contentType = matches[1].toLowerCase();
+  if (!ALLOWED_PHOTO_TYPES.includes(contentType)) {
+    throw uploadError(415, '仅支持 JPEG、PNG、WebP、AVIF 图片');
+  }
+
+  const imageBuffer = Buffer.from(matches[2], 'base64');
+  if (imageBuffer.length > maxBytes) {
+    throw uploadError(413, tooLargeMessage(maxBytes));
+  }
+
+  return {
+    imageBuffer,
+    imageType: contentType.slice('image/'.length)
+  };
+}
+
+// 边读边计数，没有 Content-Length 或谎报长度时也能在超限的第一时间停下
+async function readRawBody(req, maxBytes) {
+  if (Buffer.isBuffer(req.body)) {
+    if (req.body.length > maxBytes) {
+      throw uploadError(413, tooLargeMessage(maxBytes));
+    }
+    return req.body;
+  }
+
+  const chunks = [];
+  let received = 0;
+
+  for await (const chunk of req) {
+    received += chunk.length;
+    if (received > maxBytes) {
+      if (typeof req.destroy === 'function') {
+        req.destroy();
+      }
+      throw uploadError(413, tooLargeMessage(maxBytes));
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+// 元数据按 encodeURIComponent(JSON.stringify(...)) 放进请求头，中文说明也能安全传输
+function parsePhotoData(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw uploadError(400, '照片元数据格式错误');
+  }
+}
+
+function decodeHeader(value) {
+  if (typeof value !== 'string' || !value) return '';
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw uploadError(400, '请求头编码错误');
+  }
+}
+
+// base64 比原图大约三分之一，JSON 请求按编码后的体积放宽上限
+function jsonAllowance(contentType, maxBytes) {
+  return contentType === 'application/json' ? Math.ceil(maxBytes * 4 / 3) + 64 * 1024 : maxBytes;
+}
+
+function tooLargeMessage(maxBytes) {
+  return `图片不能超过 ${Math.floor(maxBytes / 1024 / 1024)}MB`;
+}
+
+export function uploadError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
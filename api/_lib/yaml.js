@@ -0,0 +1,161 @@
+// front matter 的 YAML 读写：文章、笔记和快拍的生成脚本都经过这里，标题、标签、说明里有什么字符都不会破坏 Jekyll 构建
+// 只处理我们自己写的那种扁平结构（标量和单行列表），不是完整的 YAML 实现
+// 这里不能引入任何 npm 依赖，工作流脚本不装依赖直接运行
+
+// Jekyll 用的 Psych 按 YAML 1.1 解析，这些不加引号会变成布尔值或 null
+const RESERVED_WORDS = /^(?:~|null|y|n|yes|no|true|false|on|off)$/i;
+// 可以不加引号的字符；`#`、引号、括号类的流式指示符和所有控制字符都不在内
+const PLAIN_CHARACTERS = /^[\p{L}\p{N}][\p{L}\p{M}\p{N} _.,:;/'’()+@&?=%-]*$/u;
+const KEY_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+// 双引号字符串里需要转义的字符：反斜杠、引号、C0/C1 控制字符、YAML 1.1 视为换行的 U+2028/2029、BOM 和孤立的代理项
+const ESCAPE_PATTERN = /[\\"\x00-\x1f\x7f-\x9f\u2028\u2029\ufeff\ufffe\uffff]|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g;
+const SHORT_ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+const UNESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+
+// fields 按顺序写成 `key: value`，值为 undefined 的字段跳过；rawLines 是原样保留的已有 YAML 片段
+// 返回带首尾 `---` 的文本，末尾有换行
+export function stringifyFrontMatter(fields, { rawLines = [] } = {}) {
+  const lines = ['---'];
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (!KEY_PATTERN.test(key)) {
+      throw new TypeError(`front matter 字段名不合法: ${key}`);
+    }
+    lines.push(`${key}: ${stringifyYamlValue(value)}`);
+  }
+
+  lines.push(...rawLines, '---');
+  return `${lines.join('\n')}\n`;
+}
+
+// 标量和标量数组；数组写成单行的 `["a", "b"]`，里面的字符串总是加引号
+export function stringifyYamlValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (typeof item === 'string' ? quoteYamlString(item) : stringifyYamlValue(item))).join(', ')}]`;
+  }
+
+  if (value === null) return 'null';
+  if (typeof value === 'boolean') return String(value);
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new TypeError(`front matter 不能写入 ${value}`);
+    }
+    return String(value);
+  }
+
+  if (typeof value === 'string') {
+    return isPlainSafe(value) ? value : quoteYamlString(value);
+  }
+
+  throw new TypeError(`front matter 不支持 ${typeof value} 类型的值`);
+}
+
+// 总是写成双引号字符串，换行等字符用转义表示，结果只占一行
+export function quoteYamlString(value) {
+  return `"${String(value).replace(ESCAPE_PATTERN, escapeCharacter)}"`;
+}
+
+// 读回单个标量：双引号按 YAML 转义还原，单引号把 `''` 还原成 `'`，不加引号的 `null`、`~` 是 null
+// 其余去掉行尾注释后原样返回字符串，数字和布尔值由调用方自己转换
+export function parseYamlScalar(raw) {
+  const value = String(raw).trim();
+
+  const doubleQuoted = /^"((?:[^"\\]|\\.)*)"\s*(?:#.*)?$/.exec(value);
+  if (doubleQuoted) {
+    return unescapeDoubleQuoted(doubleQuoted[1]);
+  }
+
+  const singleQuoted = /^'((?:[^']|'')*)'\s*(?:#.*)?$/.exec(value);
+  if (singleQuoted) {
+    return singleQuoted[1].replace(/''/g, "'");
+  }
+
+  const plain = value.replace(/(?:^|\s+)#.*$/, '');
+  return /^(?:~|null|Null|NULL)$/.test(plain) ? null : plain;
+}
+
+// 读回 `[a, "b, c", 'd']` 这样的单行列表，不是列表时返回 null
+export function parseYamlFlowSequence(raw) {
+  const value = String(raw).trim().replace(/\]\s*#.*$/, ']');
+  if (!value.startsWith('[') || !value.endsWith(']')) {
+    return null;
+  }
+
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (let index = 1; index < value.length - 1; index += 1) {
+    const char = value[index];
+
+    if (quote === '"' && char === '\\') {
+      current += char + value[index + 1];
+      index += 1;
+      continue;
+    }
+
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+    }
+
+    if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current);
+
+  return items
+    .filter(item => item.trim() !== '')
+    .map(parseYamlScalar);
+}
+
+// 以字母开头、只含常见字符、不会被当成键值对或注释、也不是保留字时才能不加引号
+// 以数字开头的只放行带 `/` 的（如 `2025/10/29 15:30`），其余可能被读成数字、时间戳或六十进制数
+function isPlainSafe(value) {
+  if (!PLAIN_CHARACTERS.test(value)) return false;
+  if (/\s$/.test(value) || /:(?:\s|$)/.test(value)) return false;
+  if (RESERVED_WORDS.test(value)) return false;
+  if (/^\p{N}/u.test(value) && !value.includes('/')) return false;
+  return true;
+}
+
+function escapeCharacter(char) {
+  if (SHORT_ESCAPES[char]) {
+    return SHORT_ESCAPES[char];
+  }
+
+  const code = char.charCodeAt(0);
+  // 孤立的代理项无法编码成 UTF-8，换成替换字符
+  if (code >= 0xd800 && code <= 0xdfff) {
+    return '\ufffd';
+  }
+
+  return code < 0x100
+    ? `\\x${code.toString(16).padStart(2, '0')}`
+    : `\\u${code.toString(16).padStart(4, '0')}`;
+}
+
+function unescapeDoubleQuoted(body) {
+  return body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[\s\S])/g, (match, escape) => {
+    if (escape.length > 1) {
+      return String.fromCodePoint(parseInt(escape.slice(1), 16));
+    }
+    return escape in UNESCAPES ? UNESCAPES[escape] : match;
+  });
+}
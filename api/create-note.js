@@ -1,8 +1,37 @@
-export default async function handler(req, res) {
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import {
+  appendImageReferences,
+  prepareNoteImages,
+  readNoteImages,
+  renameNoteImages
+} from './_lib/note-images.js';
+import {
+  buildNote,
+  checkNoteLang,
+  cleanNoteTags,
+  findAvailableNotePath,
+  noteIdentifiers,
+  noteUrl,
+  readNoteLocation
+} from './_lib/notes.js';
+import { enqueueJob, isFutureDate, parseScheduleDate } from './_lib/schedule.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function createNoteHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleCreateNote(req, res, { fetch, store });
+  };
+}
+
+export default createNoteHandler();
+
+async function handleCreateNote(req, res, { fetch, store }) {
   // 设置 CORS 头
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Access-Key');
+  if (!applyCors(req, res, { methods: 'POST, OPTIONS' })) {
+    return;
+  }
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -13,28 +42,23 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: '仅支持 POST 请求' });
   }
 
-  // 检查环境变量
-  const { GITHUB_TOKEN, GITHUB_REPO, WRITE_ACCESS_KEY } = process.env;
-  
-  if (!GITHUB_TOKEN || !GITHUB_REPO || !WRITE_ACCESS_KEY) {
-    console.error('缺少必要的环境变量:', {
-      hasToken: !!GITHUB_TOKEN,
-      hasRepo: !!GITHUB_REPO, 
-      hasKey: !!WRITE_ACCESS_KEY
-    });
-    return res.status(500).json({ error: '服务器配置错误' });
+  // 检查环境变量并验证访问密钥
+  const token = await requireWriteAccess(req, res, 'notes', { store });
+  if (!token) {
+    return;
   }
 
-  // 验证访问密钥
-  const accessKey = req.headers['x-access-key'];
-  if (!accessKey || accessKey !== WRITE_ACCESS_KEY) {
-    return res.status(401).json({ error: '无效的访问密钥' });
-  }
+  await runIdempotent(req, res, { store, token }, response => processCreateNote(req, response, { fetch }));
+}
 
+async function processCreateNote(req, res, { fetch }) {
   // 验证请求数据
-  const { content, tags, lang = 'zh-CN' } = req.body;
+  // date 可选，格式 YYYY/MM/DD HH:mm（站点时区）；未来时间会进入定时发布队列
+  // images 可选：[{ data: 'data:image/...;base64,...', alt }]，和笔记放在同一个提交里
+  // location（城市）、latitude/longitude 和 timezone（客户端的 IANA 时区）可选，原样写进 front matter
+  const { content, tags, lang = 'zh-CN', date, images } = req.body || {};
   
-  if (!content || !content.trim()) {
+  if (typeof content !== 'string' || !content.trim()) {
     return res.status(400).json({ error: '笔记内容不能为空' });
   }
   
@@ -43,64 +67,119 @@ export default async function handler(req, res) {
   }
   
   // 过滤和清理标签
-  const cleanedTags = tags
-    .map(tag => tag.trim())
-    .filter(tag => tag && tag.length > 0)
-    .slice(0, 10); // 限制最多10个标签
+  let cleanedTags;
+  try {
+    cleanedTags = cleanNoteTags(tags);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
   
   if (cleanedTags.length === 0) {
     return res.status(400).json({ error: '请提供有效的标签' });
   }
 
+  const scheduledDate = date ? parseScheduleDate(date) : null;
+  if (date && !scheduledDate) {
+    return res.status(400).json({ error: '日期格式应为 YYYY/MM/DD HH:mm' });
+  }
+
+  let noteLocation;
+  let noteImages;
+  try {
+    checkNoteLang(lang);
+    noteLocation = readNoteLocation(req.body);
+    noteImages = readNoteImages(images);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
   try {
     // 生成文件名和内容
-    const now = new Date();
+    const now = scheduledDate || new Date();
     
-    // 转换为上海时区 (UTC+8)
-    const shanghaiTime = new Date(now.getTime() + (8 * 60 * 60 * 1000));
-    const dateStr = shanghaiTime.toISOString().split('T')[0]; // YYYY-MM-DD
-    const timeStr = `${shanghaiTime.getFullYear()}/${(shanghaiTime.getMonth() + 1).toString().padStart(2, '0')}/${shanghaiTime.getDate().toString().padStart(2, '0')} ${shanghaiTime.getHours().toString().padStart(2, '0')}:${shanghaiTime.getMinutes().toString().padStart(2, '0')}`; // YYYY/MM/DD HH:mm
-
-    const fileDateSegment = dateStr;
-    const hours = shanghaiTime.getHours().toString().padStart(2, '0');
-    const minutes = shanghaiTime.getMinutes().toString().padStart(2, '0');
-    const timeSlug = `${hours}${minutes}`;
-    const titleSlug = `${dateStr.replace(/-/g, '')}${hours}${minutes}`;
-    const filenameBase = `note-${fileDateSegment}-${timeSlug}`;
-    const filename = `${filenameBase}.md`;
-    const filepath = `_notes/${filename}`;
-    
-    // 生成 Markdown 内容
-    const markdownContent = createMarkdownContent({
-      title: titleSlug,
-      date: timeStr,
+    const { filenameBase } = noteIdentifiers(now);
+
+    let imageFiles;
+    try {
+      imageFiles = await prepareNoteImages(noteImages, { filenameBase });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // 文件名、front matter 和地址都由 buildNote 统一生成，和快捷指令工作流写出的笔记一致
+    const note = buildNote({
+      date: now,
+      ...noteLocation,
       tags: cleanedTags,
       lang,
-      content: content.trim()
+      content: appendImageReferences(content.trim(), imageFiles)
     });
     
-    // 提交到 GitHub
-    const commitResult = await commitToGitHub({
-      token: GITHUB_TOKEN,
-      repo: GITHUB_REPO,
-      filepath,
-      content: markdownContent,
-      message: `feat: Add note ${filenameBase}`
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-note-writer',
+      ...(fetch ? { fetch } : {})
+    });
+
+    if (isFutureDate(scheduledDate)) {
+      const scheduled = await enqueueJob(github, {
+        type: 'note',
+        publishAt: scheduledDate.toISOString(),
+        path: note.path,
+        content: note.markdown,
+        url: note.url
+      }, { files: imageFiles });
+
+      return res.status(202).json({
+        success: true,
+        scheduled: true,
+        message: '笔记已加入定时发布队列',
+        id: scheduled.job.id,
+        publishAt: scheduled.job.publishAt,
+        url: note.url,
+        filename: note.path.split('/').pop(),
+        images: imageFiles.map(image => `/${image.path}`),
+        commit: scheduled.commit
+      });
+    }
+
+    // 笔记和图片放进同一个提交，不会出现引用了图片而图片还没提交的中间状态
+    // 改用 `-2` 等文件名时图片跟着改名，保证图片名总以所属笔记的文件名开头
+    let notePath = note.path;
+    let committedImages = imageFiles;
+    const commitResult = await github.commitWithRetry({
+      message: `feat: Add note ${note.filenameBase}`,
+      buildFiles: async head => {
+        notePath = await findAvailableNotePath(note.path, path => github.getFile(path, { ref: head.sha }));
+        const { content, renamed } = renameNoteImages(note.markdown, {
+          from: note.filenameBase,
+          to: notePath.split('/').pop().replace(/\.md$/, '')
+        });
+        committedImages = imageFiles.map(image => ({
+          ...image,
+          path: renamed.find(item => item.from === image.path)?.to || image.path
+        }));
+        return [{ path: notePath, content }, ...committedImages];
+      }
     });
-    
-    // 生成笔记 URL
-    const noteUrl = `/notes/${now.getFullYear()}/${(now.getMonth() + 1).toString().padStart(2, '0')}/${now.getDate().toString().padStart(2, '0')}/${timeSlug}/`;
     
     return res.status(200).json({
       success: true,
       message: '笔记发布成功',
-      url: noteUrl,
-      filename,
+      url: noteUrl(notePath),
+      filename: notePath.split('/').pop(),
+      images: committedImages.map(image => `/${image.path}`),
       commit: commitResult.sha
     });
     
   } catch (error) {
     console.error('创建笔记失败:', error);
+
+    if (error.conflict) {
+      return res.status(409).json({ error: '仓库正被频繁更新，多次重试后仍未成功，请稍后再试' });
+    }
     
     if (error.status === 422) {
       return res.status(400).json({ error: '文件已存在或路径无效' });
@@ -116,112 +195,3 @@ export default async function handler(req, res) {
     });
   }
 }
-
-// 生成文件名 slug
-function generateSlug(title) {
-  // 清理标题，移除特殊字符，保留中英文数字和空格
-  const cleanTitle = title
-    .trim()
-    .replace(/[^\u4e00-\u9fa5a-zA-Z0-9\s]/g, '') // 保留中英文数字空格
-    .replace(/\s+/g, '-') // 空格替换为短横线
-    .toLowerCase()
-    .substring(0, 50); // 限制长度
-  
-  if (cleanTitle) {
-    return cleanTitle;
-  }
-  
-  // 如果清理后为空，使用时间戳
-  return 'note-' + Date.now().toString().slice(-6);
-}
-
-// 创建 Markdown 内容
-function createMarkdownContent({ title, date, tags, lang, content }) {
-  const frontMatter = [
-    '---',
-    `title: ${title}`,
-    'layout: default',
-    'open_heart: true',
-    `date: ${date}`,
-    `tags: [${tags.map(tag => `"${tag}"`).join(', ')}]`
-  ];
-  
-  // 只有当 lang 不为默认值时才添加
-  if (lang && lang !== 'zh-CN') {
-    frontMatter.push(`lang: ${lang}`);
-  }
-  
-  frontMatter.push('---', '', content);
-  
-  return frontMatter.join('\n');
-}
-
-// 提交到 GitHub
-async function commitToGitHub({ token, repo, filepath, content, message }) {
-  const baseUrl = 'https://api.github.com';
-  const headers = {
-    'Authorization': `token ${token}`,
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'site-note-writer'
-  };
-  
-  // 检查文件是否已存在
-  let existingFile = null;
-  try {
-    const checkResponse = await fetch(`${baseUrl}/repos/${repo}/contents/${filepath}`, {
-      headers
-    });
-    
-    if (checkResponse.ok) {
-      existingFile = await checkResponse.json();
-    }
-  } catch (error) {
-    // 文件不存在，继续创建
-  }
-  
-  // 如果文件已存在，生成新的文件名
-  if (existingFile) {
-    const timestamp = Date.now().toString().slice(-6);
-    const parts = filepath.split('.');
-    parts[0] += `-${timestamp}`;
-    filepath = parts.join('.');
-  }
-  
-  // 创建或更新文件
-  const payload = {
-    message,
-    content: Buffer.from(content, 'utf8').toString('base64'),
-    branch: 'main',
-    author: {
-      name: 'Bazinga',
-      email: 'zjb15239430906@gmail.com'
-    },
-    committer: {
-      name: 'Bazinga',
-      email: 'zjb15239430906@gmail.com'
-    }
-  };
-
-  if (existingFile) {
-    payload.sha = existingFile.sha;
-  }
-  
-  const response = await fetch(`${baseUrl}/repos/${repo}/contents/${filepath}`, {
-    method: 'PUT',
-    headers: {
-      ...headers,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
-  
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    const errorObj = new Error(error.message || 'GitHub API 请求失败');
-    errorObj.status = response.status;
-    errorObj.details = error;
-    throw errorObj;
-  }
-  
-  return await response.json();
-}
@@ -1,7 +1,29 @@
-export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Access-Key');
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import {
+  buildPublishInfo,
+  checkPostImageFields,
+  createMarkdown,
+  generateSlug,
+  isValidFilename,
+  resolveDraftPath
+} from './_lib/posts.js';
+import { enqueueJob, isFutureDate } from './_lib/schedule.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function createPostHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleCreatePost(req, res, { fetch, store });
+  };
+}
+
+export default createPostHandler();
+
+async function handleCreatePost(req, res, { fetch, store }) {
+  if (!applyCors(req, res, { methods: 'POST, OPTIONS' })) {
+    return;
+  }
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -13,24 +35,15 @@ export default async function handler(req, res) {
     return;
   }
 
-  const { GITHUB_TOKEN, GITHUB_REPO, WRITE_ACCESS_KEY } = process.env;
-
-  if (!GITHUB_TOKEN || !GITHUB_REPO || !WRITE_ACCESS_KEY) {
-    console.error('缺少必要的环境变量:', {
-      hasToken: !!GITHUB_TOKEN,
-      hasRepo: !!GITHUB_REPO,
-      hasKey: !!WRITE_ACCESS_KEY
-    });
-    res.status(500).json({ error: '服务器配置错误' });
+  const token = await requireWriteAccess(req, res, 'posts', { store });
+  if (!token) {
     return;
   }
 
-  const accessKey = req.headers['x-access-key'];
-  if (!accessKey || accessKey !== WRITE_ACCESS_KEY) {
-    res.status(401).json({ error: '无效的访问密钥' });
-    return;
-  }
+  await runIdempotent(req, res, { store, token }, response => processCreatePost(req, response, { fetch }));
+}
 
+async function processCreatePost(req, res, { fetch }) {
   const {
     title,
     body,
@@ -40,33 +53,50 @@ export default async function handler(req, res) {
     image,
     image_text: imageText,
     date,
-    filename: providedFilename
+    filename: providedFilename,
+    status,
+    draft: providedDraft
   } = req.body || {};
 
+  // status: "draft" 时提交到 _drafts/；draft 为已有草稿文件名时覆盖该草稿
+  const isDraft = status === 'draft';
+
   if (!title || !String(title).trim()) {
     res.status(400).json({ error: '标题不能为空' });
     return;
   }
 
-  if (!body || !String(body).trim()) {
+  if (!isDraft && (!body || !String(body).trim())) {
     res.status(400).json({ error: '正文不能为空' });
     return;
   }
 
+  const imageError = checkPostImageFields(req.body);
+  if (imageError) {
+    res.status(400).json({ error: imageError });
+    return;
+  }
+
   const cleanedSlug = generateSlug(providedSlug || title);
   const normalizedLang = typeof lang === 'string' && lang.trim() ? lang.trim() : 'zh-CN';
   const shouldFeature = feature === 1 || feature === '1' || feature === true;
   const publishInfo = buildPublishInfo(date);
+  if (date && publishInfo.frontMatter !== date) {
+    res.status(400).json({ error: '日期格式应为 YYYY/MM/DD HH:mm' });
+    return;
+  }
 
   const markdown = createMarkdown({
     title: String(title).trim(),
-    body: String(body).trim(),
+    body: String(body || '').trim(),
     slug: cleanedSlug,
     lang: normalizedLang,
     feature: shouldFeature,
     image,
     imageText,
-    date: publishInfo.frontMatter
+    date: publishInfo.frontMatter,
+    // 草稿总是写出 slug，发布时据此生成文件名和链接
+    explicitSlug: isDraft
   });
 
   const filenameStem = `${publishInfo.filenameBase}-${cleanedSlug}`;
@@ -77,29 +107,83 @@ export default async function handler(req, res) {
   const filepath = `_posts/${filename}`;
 
   try {
-    const commitResult = await commitToGitHub({
-      token: GITHUB_TOKEN,
-      repo: GITHUB_REPO,
-      filepath,
-      content: markdown,
-      message: `feat: Add post ${filenameStem}`
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-post-writer',
+      ...(fetch ? { fetch } : {})
     });
 
-    const responseFilename = commitResult?.content?.path
-      ? commitResult.content.path.split('/').pop()
-      : filename;
+    if (isDraft) {
+      const draftPath = resolveDraftPath(providedDraft);
+      const existingDraft = draftPath ? await github.getFile(draftPath) : null;
+      const draftResult = existingDraft
+        ? await github.putFile({
+          path: draftPath,
+          content: markdown,
+          sha: existingDraft.sha,
+          message: `chore: Update draft ${cleanedSlug}`
+        })
+        : await github.createFile({
+          path: `_drafts/${cleanedSlug}.md`,
+          content: markdown,
+          message: `chore: Save draft ${cleanedSlug}`
+        });
+
+      res.status(200).json({
+        success: true,
+        draft: true,
+        filename: draftResult.path.split('/').pop(),
+        commit: draftResult.sha
+      });
+      return;
+    }
 
     const postUrl = `/posts/${cleanedSlug}/`;
+    const publishAt = new Date(publishInfo.iso);
+
+    // 未来时间的文章进入定时发布队列，到点后再提交
+    if (isFutureDate(publishAt)) {
+      const scheduled = await enqueueJob(github, {
+        type: 'post',
+        publishAt: publishAt.toISOString(),
+        path: filepath,
+        content: markdown,
+        url: postUrl
+      });
+
+      res.status(202).json({
+        success: true,
+        scheduled: true,
+        id: scheduled.job.id,
+        publishAt: scheduled.job.publishAt,
+        url: postUrl,
+        filename,
+        commit: scheduled.commit
+      });
+      return;
+    }
+
+    const commitResult = await github.createFile({
+      path: filepath,
+      content: markdown,
+      message: `feat: Add post ${filenameStem}`
+    });
+
+    const responseFilename = commitResult.path.split('/').pop();
 
     res.status(200).json({
       success: true,
       url: postUrl,
       filename: responseFilename,
-      commit: commitResult?.commit?.sha || commitResult?.sha
+      commit: commitResult.sha
     });
   } catch (error) {
     console.error('创建文章失败:', error);
 
+    if (error.status === 409) {
+      res.status(409).json({ error: '草稿已被其他提交修改，请重新加载后再保存' });
+      return;
+    }
+
     if (error.status === 422) {
       res.status(400).json({ error: '文件已存在或路径无效' });
       return;
@@ -116,166 +200,3 @@ export default async function handler(req, res) {
     });
   }
 }
-
-function buildPublishInfo(providedDate) {
-  const pattern = /^(\d{4})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2})$/;
-  let baseDate;
-  let frontMatter;
-
-  if (typeof providedDate === 'string' && pattern.test(providedDate)) {
-    const [, year, month, day, hour, minute] = pattern.exec(providedDate);
-    const parsed = new Date(`${year}-${month}-${day}T${hour}:${minute}:00+08:00`);
-    if (!Number.isNaN(parsed.getTime())) {
-      baseDate = parsed;
-      frontMatter = providedDate;
-    }
-  }
-
-  if (!baseDate) {
-    baseDate = computeShanghaiDate();
-    const y = String(baseDate.getFullYear());
-    const m = String(baseDate.getMonth() + 1).padStart(2, '0');
-    const d = String(baseDate.getDate()).padStart(2, '0');
-    const h = String(baseDate.getHours()).padStart(2, '0');
-    const min = String(baseDate.getMinutes()).padStart(2, '0');
-    frontMatter = `${y}/${m}/${d} ${h}:${min}`;
-  }
-
-  const year = String(baseDate.getFullYear());
-  const month = String(baseDate.getMonth() + 1).padStart(2, '0');
-  const day = String(baseDate.getDate()).padStart(2, '0');
-  const hour = String(baseDate.getHours()).padStart(2, '0');
-  const minute = String(baseDate.getMinutes()).padStart(2, '0');
-  const timeSegment = `${hour}${minute}`;
-
-  return {
-    frontMatter,
-    filenameBase: `${year}-${month}-${day}-${timeSegment}-post`,
-    iso: `${year}-${month}-${day}T${hour}:${minute}:00+08:00`
-  };
-}
-
-function computeShanghaiDate(baseDate = new Date()) {
-  const utc = baseDate.getTime() + baseDate.getTimezoneOffset() * 60000;
-  return new Date(utc + 8 * 60 * 60000);
-}
-
-function createMarkdown({ title, body, slug, lang, feature, image, imageText, date }) {
-  const lines = [
-    '---',
-    `title: "${escapeYAML(title)}"`,
-    'layout: default',
-    'open_heart: true',
-    `date: ${date}`
-  ];
-
-  if (feature) {
-    lines.push('feature: 1');
-  }
-
-  if (lang && lang !== 'zh-CN') {
-    lines.push(`lang: ${lang}`);
-  }
-
-  if (image && String(image).trim()) {
-    lines.push(`image: ${String(image).trim()}`);
-  }
-
-  if (imageText && String(imageText).trim()) {
-    lines.push(`image_text: "${escapeYAML(String(imageText).trim())}"`);
-  }
-
-  if (slug && slug !== generateSlug(title)) {
-    lines.push(`slug: "${escapeYAML(slug)}"`);
-  }
-
-  lines.push('---', '', body.trim(), '');
-
-  return lines.join('\n');
-}
-
-function generateSlug(source) {
-  if (!source) return `post-${Date.now().toString().slice(-6)}`;
-  const clean = String(source)
-    .trim()
-    .toLowerCase()
-    .replace(/[^\u4e00-\u9fa5a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
-
-  return clean || `post-${Date.now().toString().slice(-6)}`;
-}
-
-function escapeYAML(value) {
-  return value.replace(/"/g, '\\"');
-}
-
-function isValidFilename(value) {
-  if (typeof value !== 'string') return false;
-  if (!value.endsWith('.md')) return false;
-  if (value.includes('/') || value.includes('..')) return false;
-  return /-post-/.test(value);
-}
-
-async function commitToGitHub({ token, repo, filepath, content, message }) {
-  const baseUrl = 'https://api.github.com';
-  const headers = {
-    Authorization: `token ${token}`,
-    Accept: 'application/vnd.github.v3+json',
-    'User-Agent': 'site-post-writer'
-  };
-
-  let targetPath = filepath;
-
-  try {
-    const checkResponse = await fetch(`${baseUrl}/repos/${repo}/contents/${targetPath}`, {
-      headers
-    });
-
-    if (checkResponse.ok) {
-      const timestamp = Date.now().toString().slice(-6);
-      const dotIndex = targetPath.lastIndexOf('.');
-      if (dotIndex > -1) {
-        targetPath = `${targetPath.slice(0, dotIndex)}-${timestamp}${targetPath.slice(dotIndex)}`;
-      } else {
-        targetPath = `${targetPath}-${timestamp}`;
-      }
-    }
-  } catch (error) {
-    // 文件不存在时忽略错误
-  }
-
-  const payload = {
-    message,
-    content: Buffer.from(content, 'utf8').toString('base64'),
-    branch: 'main',
-    author: {
-      name: 'Bazinga',
-      email: 'zjb15239430906@gmail.com'
-    },
-    committer: {
-      name: 'Bazinga',
-      email: 'zjb15239430906@gmail.com'
-    }
-  };
-
-  const response = await fetch(`${baseUrl}/repos/${repo}/contents/${targetPath}`, {
-    method: 'PUT',
-    headers: {
-      ...headers,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
-
-  if (!response.ok) {
-    const errorBody = await response.json().catch(() => ({}));
-    const error = new Error(errorBody.message || 'GitHub API 请求失败');
-    error.status = response.status;
-    error.details = errorBody;
-    throw error;
-  }
-
-  return await response.json();
-}
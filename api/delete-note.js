@@ -0,0 +1,129 @@
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import { isOwnNoteImage, noteImagePaths } from './_lib/note-images.js';
+import { resolveNotePath } from './_lib/notes.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function deleteNoteHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleDeleteNote(req, res, { fetch, store });
+  };
+}
+
+export default deleteNoteHandler();
+
+async function handleDeleteNote(req, res, { fetch, store }) {
+  // 设置 CORS 头
+  if (!applyCors(req, res, { methods: 'DELETE, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ error: '仅支持 DELETE 请求' });
+  }
+
+  // 检查环境变量并验证访问密钥
+  const token = await requireWriteAccess(req, res, 'notes', { store });
+  if (!token) {
+    return;
+  }
+
+  await runIdempotent(req, res, { store, token }, response => processDeleteNote(req, response, { fetch }));
+}
+
+async function processDeleteNote(req, res, { fetch }) {
+  // 笔记标识可以放在请求体或查询参数里
+  const note = req.body?.note || req.query?.note;
+  const filepath = resolveNotePath(note);
+
+  if (!filepath) {
+    return res.status(400).json({ error: '请提供有效的笔记文件名或链接' });
+  }
+
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-note-writer',
+      ...(fetch ? { fetch } : {})
+    });
+
+    const existingFile = await github.getFile(filepath);
+    if (!existingFile) {
+      return res.status(404).json({ error: '笔记不存在' });
+    }
+
+    const filename = filepath.split('/').pop();
+    const filenameBase = filename.replace(/\.md$/, '');
+    const message = `feat: Delete note ${filenameBase}`;
+
+    // 只删这条笔记发布时一起提交的图片，正文里引用的其他图片不动
+    const imagePaths = noteImagePaths(existingFile.content.toString('utf8'))
+      .filter(path => isOwnNoteImage(path, filenameBase));
+
+    if (imagePaths.length === 0) {
+      const commitResult = await github.deleteFile({
+        path: filepath,
+        sha: existingFile.sha,
+        message
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: '笔记已删除',
+        filename,
+        commit: commitResult.sha
+      });
+    }
+
+    let deletedImages = [];
+    const commitResult = await github.commitWithRetry({
+      message,
+      buildFiles: async head => {
+        if (!await github.getFile(filepath, { ref: head.sha })) {
+          return null;
+        }
+
+        deletedImages = [];
+        for (const path of imagePaths) {
+          if (await github.getFile(path, { ref: head.sha })) {
+            deletedImages.push(path);
+          }
+        }
+        return [filepath, ...deletedImages].map(path => ({ path, content: null }));
+      }
+    });
+
+    if (!commitResult) {
+      return res.status(404).json({ error: '笔记不存在' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '笔记已删除',
+      filename,
+      images: deletedImages.map(path => `/${path}`),
+      commit: commitResult.sha
+    });
+    
+  } catch (error) {
+    console.error('删除笔记失败:', error);
+    
+    if (error.status === 409) {
+      return res.status(409).json({ error: '笔记已被其他提交修改，请刷新后重试' });
+    }
+    
+    if (error.status === 403) {
+      return res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+    }
+    
+    return res.status(500).json({ 
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,122 @@
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import {
+  findPhotoById,
+  photoFilePaths,
+  photosFile,
+  readPhotos,
+  removePhoto
+} from './_lib/photos.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function deletePhotoHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleDeletePhoto(req, res, { fetch, store });
+  };
+}
+
+export default deletePhotoHandler();
+
+async function handleDeletePhoto(req, res, { fetch, store }) {
+  // 设置 CORS 头
+  if (!applyCors(req, res, { methods: 'DELETE, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ error: '仅支持 DELETE 请求' });
+  }
+
+  // 检查环境变量并验证访问密钥
+  const token = await requireWriteAccess(req, res, 'photos', { store });
+  if (!token) {
+    return;
+  }
+
+  await runIdempotent(req, res, { store, token }, response => processDeletePhoto(req, response, { fetch }));
+}
+
+async function processDeletePhoto(req, res, { fetch }) {
+  // 照片 id 可以放在请求体或查询参数里
+  const id = req.body?.id || req.query?.id;
+
+  if (!id || typeof id !== 'string') {
+    return res.status(400).json({ error: '请提供照片 id' });
+  }
+
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-photo-uploader',
+      ...(fetch ? { fetch } : {})
+    });
+
+    // 清单条目和所有图片文件在同一个提交里删除
+    let removed = null;
+    let deletedPaths = [];
+    const commitResult = await github.commitWithRetry({
+      message: `feat: Delete photo ${id}`,
+      buildFiles: async head => {
+        const photos = await readPhotos(github, { ref: head.sha });
+        removed = findPhotoById(photos, id);
+        if (!removed) {
+          return null;
+        }
+
+        // 只删仓库里确实存在的文件，手工删过的变体不会让整个提交失败
+        deletedPaths = await existingPaths(github, photoFilePaths(removed), head.sha);
+
+        return [
+          ...deletedPaths.map(path => ({ path, content: null })),
+          photosFile(removePhoto(photos, id))
+        ];
+      }
+    });
+
+    if (!removed) {
+      return res.status(404).json({ error: '照片不存在' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '照片已删除',
+      photoId: id,
+      deleted: deletedPaths,
+      commit: commitResult.sha
+    });
+
+  } catch (error) {
+    console.error('删除照片失败:', error);
+
+    if (error.conflict) {
+      return res.status(409).json({ error: '照片库正被频繁更新，多次重试后仍未成功，请稍后再试' });
+    }
+
+    if (error.status === 403) {
+      return res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+    }
+
+    return res.status(500).json({
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// 按目录列一次文件，比逐个读取文件内容省请求
+async function existingPaths(github, paths, ref) {
+  const directories = [...new Set(paths.map(path => path.slice(0, path.lastIndexOf('/'))))];
+  const present = new Set();
+
+  for (const directory of directories) {
+    const entries = await github.listDirectory(directory, { ref });
+    entries.forEach(entry => present.add(entry.path));
+  }
+
+  return paths.filter(path => present.has(path));
+}
@@ -0,0 +1,228 @@
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import {
+  buildPublishInfo,
+  createMarkdown,
+  generateSlug,
+  parsePostMarkdown,
+  resolveDraftPath
+} from './_lib/posts.js';
+import { enqueueJob, isFutureDate } from './_lib/schedule.js';
+
+const DRAFTS_DIR = '_drafts';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function draftsHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleDrafts(req, res, { fetch, store });
+  };
+}
+
+export default draftsHandler();
+
+// GET：列出草稿，带 ?filename= 时返回单篇草稿
+// POST { filename, date? }：发布草稿到 _posts/，未来时间进入定时发布队列
+// DELETE ?filename=：丢弃草稿
+async function handleDrafts(req, res, { fetch, store }) {
+  if (!applyCors(req, res, { methods: 'GET, POST, DELETE, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    res.status(405).json({ error: '仅支持 GET、POST 或 DELETE 请求' });
+    return;
+  }
+
+  const token = await requireWriteAccess(req, res, 'posts', { store });
+  if (!token) {
+    return;
+  }
+
+  await runIdempotent(req, res, { store, token }, response => processDrafts(req, response, { fetch }));
+}
+
+async function processDrafts(req, res, { fetch }) {
+  const input = req.method === 'POST' ? (req.body || {}) : (req.query || {});
+
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-post-writer',
+      ...(fetch ? { fetch } : {})
+    });
+
+    if (req.method === 'GET' && !input.filename) {
+      const drafts = await listDrafts(github);
+      res.status(200).json({ success: true, drafts });
+      return;
+    }
+
+    const draftPath = resolveDraftPath(input.filename);
+    if (!draftPath) {
+      res.status(400).json({ error: '请提供有效的草稿文件名' });
+      return;
+    }
+
+    const draftFile = await github.getFile(draftPath);
+    if (!draftFile) {
+      res.status(404).json({ error: '草稿不存在' });
+      return;
+    }
+
+    const draft = parsePostMarkdown(draftFile.content.toString('utf8'));
+    if (!draft) {
+      res.status(422).json({ error: '无法解析草稿的 front matter' });
+      return;
+    }
+
+    const filename = draftPath.split('/').pop();
+
+    if (req.method === 'GET') {
+      res.status(200).json({
+        success: true,
+        filename,
+        post: {
+          title: draft.title,
+          body: draft.body,
+          slug: draft.slug || filename.replace(/\.md$/, ''),
+          lang: draft.lang,
+          feature: draft.feature ? 1 : 0,
+          image: draft.image,
+          image_text: draft.imageText,
+          date: draft.date
+        }
+      });
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      const deleteResult = await github.deleteFile({
+        path: draftPath,
+        sha: draftFile.sha,
+        message: `chore: Discard draft ${filename.replace(/\.md$/, '')}`
+      });
+
+      res.status(200).json({
+        success: true,
+        filename,
+        commit: deleteResult.sha
+      });
+      return;
+    }
+
+    if (!draft.title || !draft.body) {
+      res.status(400).json({ error: '草稿缺少标题或正文，无法发布' });
+      return;
+    }
+
+    // 发布时间默认为当前时间，也可以显式指定
+    const publishInfo = buildPublishInfo(input.date);
+    if (input.date && publishInfo.frontMatter !== input.date) {
+      res.status(400).json({ error: '日期格式应为 YYYY/MM/DD HH:mm' });
+      return;
+    }
+
+    const slug = generateSlug(draft.slug || filename.replace(/\.md$/, ''));
+    const markdown = createMarkdown({
+      title: draft.title,
+      body: draft.body,
+      slug,
+      lang: draft.lang,
+      feature: draft.feature,
+      image: draft.image,
+      imageText: draft.imageText,
+      date: publishInfo.frontMatter,
+      layout: draft.layout,
+      openHeart: draft.openHeart,
+      explicitSlug: true,
+      extraFrontMatter: draft.extraFrontMatter
+    });
+
+    const postUrl = `/posts/${slug}/`;
+    const publishAt = new Date(publishInfo.iso);
+
+    // 未来时间和 create-post 一样进入定时发布队列，草稿在入队的同一个提交里删除
+    if (isFutureDate(publishAt)) {
+      const postFilename = `${publishInfo.filenameBase}-${slug}.md`;
+      const scheduled = await enqueueJob(github, {
+        type: 'post',
+        publishAt: publishAt.toISOString(),
+        path: `_posts/${postFilename}`,
+        content: markdown,
+        url: postUrl
+      }, { files: [{ path: draftPath, content: null }] });
+
+      res.status(202).json({
+        success: true,
+        scheduled: true,
+        id: scheduled.job.id,
+        publishAt: scheduled.job.publishAt,
+        url: postUrl,
+        filename: postFilename,
+        commit: scheduled.commit
+      });
+      return;
+    }
+
+    // 新文章和删除草稿放在同一个提交里
+    let postPath = null;
+    const commitResult = await github.commitWithRetry({
+      message: `feat: Publish draft ${slug}`,
+      buildFiles: async head => {
+        postPath = await github.resolveAvailablePath(
+          `_posts/${publishInfo.filenameBase}-${slug}.md`,
+          { ref: head.sha }
+        );
+        return [
+          { path: postPath, content: markdown },
+          { path: draftPath, content: null }
+        ];
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      url: postUrl,
+      filename: postPath.split('/').pop(),
+      commit: commitResult.sha
+    });
+  } catch (error) {
+    console.error('处理草稿失败:', error);
+
+    if (error.status === 409 || error.conflict) {
+      res.status(409).json({ error: '草稿已被其他提交修改，请刷新后重试' });
+      return;
+    }
+
+    if (error.status === 403) {
+      res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+      return;
+    }
+
+    res.status(500).json({
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+async function listDrafts(github) {
+  const entries = await github.listDirectory(DRAFTS_DIR);
+  const markdownEntries = entries.filter(entry => entry.name.endsWith('.md'));
+
+  return await Promise.all(markdownEntries.map(async entry => {
+    const file = await github.getFile(entry.path);
+    const draft = file ? parsePostMarkdown(file.content.toString('utf8')) : null;
+
+    return {
+      filename: entry.name,
+      title: draft?.title || '',
+      date: draft?.date || null
+    };
+  }));
+}
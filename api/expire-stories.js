@@ -0,0 +1,82 @@
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, isCronRequest, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import { expireStories } from './_lib/stories.js';
+
+const DEFAULT_SITE_URL = 'https://site.bazinga.ink';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function expireStoriesHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleExpireStories(req, res, { fetch, store });
+  };
+}
+
+export default expireStoriesHandler();
+
+// 定时任务（带 CRON_SECRET 的 GET）或 POST：归档过期快拍，订阅内容变了就重新构建站点
+async function handleExpireStories(req, res, { fetch, store }) {
+  if (!applyCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  const fromCron = req.method === 'GET' && isCronRequest(req);
+  if (!fromCron && req.method !== 'POST') {
+    return res.status(405).json({ error: '仅支持定时任务的 GET 或 POST 请求' });
+  }
+
+  const token = fromCron ? null : await requireWriteAccess(req, res, 'photos', { store });
+  if (!fromCron && !token) {
+    return;
+  }
+
+  await runIdempotent(req, res, { store, token }, response => processExpireStories(response, { fetch }));
+}
+
+async function processExpireStories(res, { fetch }) {
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-stories',
+      ...(fetch ? { fetch } : {})
+    });
+
+    const siteUrl = (process.env.SITE_URL || DEFAULT_SITE_URL).replace(/\/+$/, '');
+    const result = await expireStories(github, {
+      ...(fetch ? { fetch } : {}),
+      feedUrl: `${siteUrl}/stories.json`,
+      deployHookUrl: process.env.DEPLOY_HOOK_URL
+    });
+
+    return res.status(200).json({
+      success: true,
+      archived: result.archived,
+      commit: result.commit,
+      rebuild: result.rebuild
+    });
+
+  } catch (error) {
+    console.error('归档过期快拍失败:', error);
+
+    if (error.conflict) {
+      return res.status(409).json({ error: '快拍清单正被频繁更新，请稍后再试' });
+    }
+
+    if (error.status === 403) {
+      return res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+    }
+
+    if (error.deployHook) {
+      return res.status(502).json({ error: '触发重新构建失败，请检查 DEPLOY_HOOK_URL' });
+    }
+
+    return res.status(500).json({
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,169 @@
+import { generateAuthenticationOptions, verifyAuthenticationResponse } from '@simplewebauthn/server';
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import {
+  applyCors,
+  clearAuthFailures,
+  findSourceToken,
+  loadWriteTokens,
+  recordAuthFailure,
+  throttleClient
+} from './_lib/access.js';
+import {
+  findPasskey,
+  readPasskeys,
+  relyingPartyFor,
+  toWebAuthnCredential
+} from './_lib/passkeys.js';
+import { describeSession, issueChallenge, issueSession, takeChallenge } from './_lib/session.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function passkeyLoginHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handlePasskeyLogin(req, res, { fetch, store });
+  };
+}
+
+export default passkeyLoginHandler();
+
+// GET：返回登录选项；POST { response }：校验签名，成功后下发会话 Cookie
+// 与写入接口共用按 IP 的限流和失败锁定
+async function handlePasskeyLogin(req, res, { fetch, store }) {
+  if (!applyCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.status(405).json({ error: '仅支持 GET 或 POST 请求' });
+    return;
+  }
+
+  const { GITHUB_TOKEN, GITHUB_REPO, SESSION_SECRET: secret } = process.env;
+  if (!GITHUB_TOKEN || !GITHUB_REPO || !secret) {
+    console.error('缺少必要的环境变量:', {
+      hasToken: !!GITHUB_TOKEN,
+      hasRepo: !!GITHUB_REPO,
+      hasSessionSecret: !!secret
+    });
+    res.status(500).json({ error: '服务器配置错误' });
+    return;
+  }
+
+  let tokens;
+  try {
+    tokens = loadWriteTokens(process.env);
+  } catch (error) {
+    console.error('访问令牌配置错误:', error.message);
+    res.status(500).json({ error: '服务器配置错误' });
+    return;
+  }
+
+  const relyingParty = relyingPartyFor(req);
+  if (!relyingParty) {
+    res.status(400).json({ error: '请在站点页面中使用通行密钥登录' });
+    return;
+  }
+
+  const client = await throttleClient(req, res, { store });
+  if (!client) {
+    return;
+  }
+
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-passkey',
+      ...(fetch ? { fetch } : {})
+    });
+
+    const passkeys = (await readPasskeys(github))
+      .filter(passkey => passkey.rpID === relyingParty.rpID);
+
+    if (req.method === 'GET') {
+      if (passkeys.length === 0) {
+        res.status(404).json({ error: '还没有注册通行密钥，请先用访问密钥注册这台设备' });
+        return;
+      }
+
+      const options = await generateAuthenticationOptions({
+        rpID: relyingParty.rpID,
+        allowCredentials: passkeys.map(passkey => ({ id: passkey.id, transports: passkey.transports })),
+        userVerification: 'required'
+      });
+
+      issueChallenge(res, 'login', options.challenge, { secret });
+      res.status(200).json(options);
+      return;
+    }
+
+    const { response } = req.body || {};
+    const challenge = takeChallenge(req, res, 'login', { secret });
+    if (!challenge) {
+      res.status(400).json({ error: '登录已超时，请重新开始' });
+      return;
+    }
+
+    const passkey = response && typeof response.id === 'string' ? findPasskey(passkeys, response.id) : null;
+
+    let verification = null;
+    if (passkey) {
+      try {
+        verification = await verifyAuthenticationResponse({
+          response,
+          expectedChallenge: challenge.challenge,
+          expectedOrigin: relyingParty.origin,
+          expectedRPID: relyingParty.rpID,
+          credential: toWebAuthnCredential(passkey),
+          requireUserVerification: true
+        });
+      } catch (error) {
+        console.error('通行密钥登录校验失败:', error.message);
+      }
+    }
+
+    if (!verification || !verification.verified) {
+      if (await recordAuthFailure(res, client)) {
+        return;
+      }
+      res.status(401).json({ error: '通行密钥验证失败' });
+      return;
+    }
+
+    await clearAuthFailures(client);
+
+    // 签名没问题，但注册它的访问密钥已删除、吊销或过期时不能再登录；旧条目没有记录源令牌，也要重新注册
+    const source = findSourceToken(passkey.sourceToken, tokens);
+    if (!source) {
+      res.status(401).json({ error: '注册这个通行密钥的访问密钥已被吊销或过期，请用有效的访问密钥重新注册' });
+      return;
+    }
+
+    const session = issueSession(res, {
+      name: passkey.name,
+      scopes: passkey.scopes.filter(scope => source.scopes.includes(scope)),
+      sourceToken: passkey.sourceToken
+    }, { secret });
+
+    res.status(200).json({
+      success: true,
+      message: '已登录',
+      session: describeSession(session)
+    });
+
+  } catch (error) {
+    console.error('通行密钥登录失败:', error);
+
+    if (error.status === 403) {
+      res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+      return;
+    }
+
+    res.status(500).json({
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,180 @@
+import { generateRegistrationOptions, verifyRegistrationResponse } from '@simplewebauthn/server';
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { TOKEN_SCOPES, applyCors, requireWriteAccess } from './_lib/access.js';
+import {
+  OWNER_USER_ID,
+  OWNER_USER_NAME,
+  RP_NAME,
+  cleanPasskeyName,
+  findPasskey,
+  passkeysFile,
+  readPasskeys,
+  relyingPartyFor,
+  toPasskeyEntry
+} from './_lib/passkeys.js';
+import { describeSession, issueChallenge, issueSession, takeChallenge } from './_lib/session.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function passkeyRegisterHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handlePasskeyRegister(req, res, { fetch, store });
+  };
+}
+
+export default passkeyRegisterHandler();
+
+// 注册需要已有的写入凭据（访问密钥或通行密钥会话），新通行密钥继承该凭据的权限
+// GET：返回注册选项；POST { name, response }：校验浏览器返回的凭据并写入清单，随后直接登录
+async function handlePasskeyRegister(req, res, { fetch, store }) {
+  if (!applyCors(req, res, { methods: 'GET, POST, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.status(405).json({ error: '仅支持 GET 或 POST 请求' });
+    return;
+  }
+
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    console.error('缺少必要的环境变量: SESSION_SECRET');
+    res.status(500).json({ error: '服务器配置错误' });
+    return;
+  }
+
+  const token = await requireWriteAccess(req, res, TOKEN_SCOPES, { store });
+  if (!token) {
+    return;
+  }
+
+  const relyingParty = relyingPartyFor(req);
+  if (!relyingParty) {
+    res.status(400).json({ error: '请在站点页面中注册通行密钥' });
+    return;
+  }
+
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-passkey',
+      ...(fetch ? { fetch } : {})
+    });
+
+    if (req.method === 'GET') {
+      const passkeys = await readPasskeys(github);
+      const options = await generateRegistrationOptions({
+        rpName: RP_NAME,
+        rpID: relyingParty.rpID,
+        userID: OWNER_USER_ID,
+        userName: OWNER_USER_NAME,
+        attestationType: 'none',
+        // 同一台设备不重复注册
+        excludeCredentials: passkeys
+          .filter(passkey => passkey.rpID === relyingParty.rpID)
+          .map(passkey => ({ id: passkey.id, transports: passkey.transports })),
+        authenticatorSelection: {
+          residentKey: 'preferred',
+          userVerification: 'required'
+        }
+      });
+
+      issueChallenge(res, 'register', options.challenge, { secret });
+      res.status(200).json(options);
+      return;
+    }
+
+    const { name, response } = req.body || {};
+    const passkeyName = cleanPasskeyName(name);
+    if (!passkeyName) {
+      res.status(400).json({ error: '请为这台设备起一个不超过 40 字的名字' });
+      return;
+    }
+
+    const challenge = takeChallenge(req, res, 'register', { secret });
+    if (!challenge) {
+      res.status(400).json({ error: '注册已超时，请重新开始' });
+      return;
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: relyingParty.origin,
+        expectedRPID: relyingParty.rpID,
+        requireUserVerification: true
+      });
+    } catch (error) {
+      console.error('通行密钥注册校验失败:', error.message);
+      verification = null;
+    }
+
+    if (!verification || !verification.verified) {
+      res.status(400).json({ error: '通行密钥注册校验失败' });
+      return;
+    }
+
+    // 权限取自发起注册的访问密钥或会话，不会超出它原有的范围；
+    // 用会话注册时沿用会话的源令牌，吊销那个访问密钥会让它名下的所有通行密钥一起失效
+    const entry = toPasskeyEntry({
+      credential: verification.registrationInfo.credential,
+      name: passkeyName,
+      scopes: token.scopes,
+      sourceToken: token.session ? token.sourceToken : token.name,
+      rpID: relyingParty.rpID
+    });
+
+    let duplicate = false;
+    const commitResult = await github.commitWithRetry({
+      message: `chore: Register passkey ${passkeyName}`,
+      buildFiles: async head => {
+        const passkeys = await readPasskeys(github, { ref: head.sha });
+        duplicate = !!findPasskey(passkeys, entry.id);
+        return duplicate ? null : [passkeysFile([...passkeys, entry])];
+      }
+    });
+
+    if (duplicate) {
+      res.status(409).json({ error: '这个通行密钥已经注册过' });
+      return;
+    }
+
+    const session = issueSession(res, { name: entry.name, scopes: entry.scopes, sourceToken: entry.sourceToken }, { secret });
+
+    res.status(201).json({
+      success: true,
+      message: '通行密钥已注册，已自动登录',
+      passkey: {
+        id: entry.id,
+        name: entry.name,
+        scopes: entry.scopes,
+        createdAt: entry.createdAt
+      },
+      session: describeSession(session),
+      commit: commitResult.sha
+    });
+
+  } catch (error) {
+    console.error('注册通行密钥失败:', error);
+
+    if (error.conflict) {
+      res.status(409).json({ error: '仓库正被频繁更新，多次重试后仍未成功，请稍后再试' });
+      return;
+    }
+
+    if (error.status === 403) {
+      res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+      return;
+    }
+
+    res.status(500).json({
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
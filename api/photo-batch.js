@@ -0,0 +1,255 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import {
+  EDITABLE_META_FIELDS,
+  findPhotoByHash,
+  placePhotos,
+  photosFile,
+  preparePhoto,
+  readPhotos
+} from './_lib/photos.js';
+import { bufferPhotoUpload, readPhotoUpload } from './_lib/upload.js';
+
+// 一次批量提交最多包含的照片数
+const MAX_BATCH_ITEMS = 50;
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+const BLOB_SHA_PATTERN = /^[0-9a-f]{40}$/;
+const DATE_PATTERN = /^\d{8}$/;
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function photoBatchHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handlePhotoBatch(req, res, { fetch, store });
+  };
+}
+
+export default photoBatchHandler();
+
+// 批量上传分两步，单个请求不会超过函数的请求体上限：
+// PUT：请求体与 upload-photo 相同，处理一张照片并把文件作为 blob 暂存到 GitHub，返回暂存条目
+// POST { items }：把暂存条目和 photos.json 写进同一个提交
+// 暂存失败的照片可以单独重新 PUT，已暂存的不受影响
+async function handlePhotoBatch(req, res, { fetch, store }) {
+  if (!applyCors(req, res, { methods: 'PUT, POST, OPTIONS', headers: 'Content-Type, X-Access-Key, Idempotency-Key, X-Photo-Filename, X-Photo-Data' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['PUT', 'POST'].includes(req.method)) {
+    res.status(405).json({ error: '仅支持 PUT 或 POST 请求' });
+    return;
+  }
+
+  const token = await requireWriteAccess(req, res, 'photos', { store });
+  if (!token) {
+    return;
+  }
+
+  if (req.method === 'PUT') {
+    try {
+      await bufferPhotoUpload(req);
+    } catch (error) {
+      if (error.status) {
+        res.status(error.status).json({ error: error.message });
+        return;
+      }
+      throw error;
+    }
+  }
+
+  await runIdempotent(req, res, { store, token }, response => processPhotoBatch(req, response, { fetch }));
+}
+
+async function processPhotoBatch(req, res, { fetch }) {
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-photo-uploader',
+      ...(fetch ? { fetch } : {})
+    });
+
+    if (req.method === 'PUT') {
+      await stagePhoto(req, res, github);
+      return;
+    }
+
+    await commitBatch(req, res, github);
+  } catch (error) {
+    console.error('批量上传照片失败:', error);
+
+    if (error.conflict) {
+      res.status(409).json({ error: '照片库正被频繁更新，多次重试后仍未成功，请稍后再试' });
+      return;
+    }
+
+    if (error.status === 422) {
+      res.status(400).json({ error: '暂存的图片已失效或路径无效，请重新上传这些照片' });
+      return;
+    }
+
+    if (error.status === 403) {
+      res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+      return;
+    }
+
+    res.status(500).json({
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+async function stagePhoto(req, res, github) {
+  let prepared;
+  try {
+    const upload = await readPhotoUpload(req);
+
+    if (!upload.filename || !String(upload.filename).trim()) {
+      res.status(400).json({ error: '文件名不能为空' });
+      return;
+    }
+
+    if (!upload.photoData || !upload.photoData.meta || !upload.photoData.meta.alt) {
+      res.status(400).json({ error: '照片元数据不完整' });
+      return;
+    }
+
+    prepared = await preparePhoto(upload);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+    throw error;
+  }
+
+  // 已经在清单里的照片不必再上传文件
+  const duplicate = findPhotoByHash(await readPhotos(github), prepared.hash);
+  if (duplicate) {
+    res.status(200).json({ success: true, duplicate: true, photo: duplicate });
+    return;
+  }
+
+  const files = [];
+  for (const file of prepared.files) {
+    files.push({ path: file.path, sha: await github.createBlob(file.content) });
+  }
+
+  const item = {
+    hash: prepared.hash,
+    date: prepared.date,
+    basePath: prepared.basePath,
+    photoData: prepared.photoData,
+    files
+  };
+
+  res.status(200).json({
+    success: true,
+    staged: true,
+    item: { ...item, signature: signStagedItem(item) }
+  });
+}
+
+async function commitBatch(req, res, github) {
+  const { items } = req.body || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    res.status(400).json({ error: '请至少提供一张已暂存的照片' });
+    return;
+  }
+
+  if (items.length > MAX_BATCH_ITEMS) {
+    res.status(400).json({ error: `一次最多提交 ${MAX_BATCH_ITEMS} 张照片` });
+    return;
+  }
+
+  if (!items.every(isValidStagedItem)) {
+    res.status(400).json({ error: '暂存条目格式错误' });
+    return;
+  }
+
+  if (!items.every(hasValidSignature)) {
+    res.status(400).json({ error: '暂存条目已被修改或没有签名，请重新上传这些照片' });
+    return;
+  }
+
+  let results = [];
+  const commitResult = await github.commitWithRetry({
+    message: `feat: Upload ${items.length} photos`,
+    buildFiles: async head => {
+      const photos = await readPhotos(github, { ref: head.sha });
+      const placed = await placePhotos(github, { ref: head.sha, photos, items });
+      results = placed.results;
+
+      // 全部都是重复照片时不提交
+      return placed.files.length > 0 ? [...placed.files, photosFile(placed.photos)] : null;
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    commit: commitResult ? commitResult.sha : null,
+    items: results.map(result => ({
+      hash: result.hash,
+      duplicate: result.duplicate,
+      photoId: result.photo.id,
+      imagePath: result.imagePath
+    }))
+  });
+}
+
+// 暂存条目由客户端原样回传，提交前检查路径都落在照片目录下、sha 格式正确
+function isValidStagedItem(item) {
+  if (!item || typeof item !== 'object') return false;
+
+  const { hash, date, basePath, photoData, files } = item;
+  if (!HASH_PATTERN.test(hash || '') || !DATE_PATTERN.test(date || '')) return false;
+  if (typeof basePath !== 'string' || !basePath.startsWith('images/photos/') || basePath.includes('..')) return false;
+  if (!photoData || typeof photoData !== 'object' || !photoData.meta || !photoData.meta.alt) return false;
+  if (photoData.hash !== hash) return false;
+  if (!EDITABLE_META_FIELDS.every(field => photoData.meta[field] === undefined || typeof photoData.meta[field] === 'string')) return false;
+
+  return Array.isArray(files) && files.length > 0 && files.every(file => (
+    file
+    && typeof file.path === 'string'
+    && file.path.startsWith(basePath)
+    && !file.path.includes('..')
+    && BLOB_SHA_PATTERN.test(file.sha || '')
+  ));
+}
+
+// 暂存条目经客户端回传，签名保证哈希、路径、blob sha 和服务端生成的 meta 都没有被改过；
+// 密钥用 GITHUB_TOKEN，不需要额外配置。EDITABLE_META_FIELDS 里的文字不在签名范围内，暂存后仍可修改
+function signStagedItem(item) {
+  const { signature, photoData, ...rest } = item;
+  const meta = Object.fromEntries(
+    Object.entries(photoData.meta).filter(([field]) => !EDITABLE_META_FIELDS.includes(field))
+  );
+  return createHmac('sha256', process.env.GITHUB_TOKEN)
+    .update(`staged-photo.${canonicalJson({ ...rest, photoData: { ...photoData, meta } })}`)
+    .digest('base64url');
+}
+
+function hasValidSignature(item) {
+  if (typeof item.signature !== 'string') return false;
+  const expected = Buffer.from(signStagedItem(item));
+  const presented = Buffer.from(item.signature);
+  return presented.length === expected.length && timingSafeEqual(presented, expected);
+}
+
+// 按键名排序后序列化，客户端回传时调换了键的顺序也能验证
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
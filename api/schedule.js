@@ -0,0 +1,112 @@
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, isCronRequest, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import {
+  cancelJob,
+  jobScope,
+  publishDueJobs,
+  readQueue,
+  summarizeJob
+} from './_lib/schedule.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function scheduleHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleSchedule(req, res, { fetch, store });
+  };
+}
+
+export default scheduleHandler();
+
+// 定时任务（带 CRON_SECRET 的 GET）或 POST：发布到期内容
+// GET：列出队列；DELETE ?id=：取消任务；列出和取消都只限令牌有权限的类型（笔记要 notes，文章要 posts）
+async function handleSchedule(req, res, { fetch, store }) {
+  if (!applyCors(req, res, { methods: 'GET, POST, DELETE, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: '仅支持 GET、POST 或 DELETE 请求' });
+  }
+
+  const fromCron = req.method === 'GET' && isCronRequest(req);
+  const token = fromCron ? null : await requireWriteAccess(req, res, ['notes', 'posts'], { store });
+  if (!fromCron && !token) {
+    return;
+  }
+
+  await runIdempotent(req, res, { store, token }, response => processSchedule(req, response, { fetch, fromCron, token }));
+}
+
+async function processSchedule(req, res, { fetch, fromCron, token }) {
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-scheduler',
+      ...(fetch ? { fetch } : {})
+    });
+
+    if (fromCron || req.method === 'POST') {
+      const result = await publishDueJobs(github);
+      return res.status(200).json({
+        success: true,
+        published: result.published,
+        commit: result.commit
+      });
+    }
+
+    if (req.method === 'GET') {
+      const jobs = await readQueue(github);
+      return res.status(200).json({
+        success: true,
+        jobs: jobs.filter(job => token.scopes.includes(jobScope(job))).map(summarizeJob)
+      });
+    }
+
+    const id = req.query?.id || req.body?.id;
+    if (!id) {
+      return res.status(400).json({ error: '请提供要取消的任务 id' });
+    }
+
+    const job = (await readQueue(github)).find(item => item.id === id);
+    if (!job) {
+      return res.status(404).json({ error: '任务不存在或已发布' });
+    }
+
+    if (!token.scopes.includes(jobScope(job))) {
+      return res.status(403).json({ error: `该访问密钥没有 ${jobScope(job)} 权限` });
+    }
+
+    const result = await cancelJob(github, id);
+    if (!result) {
+      return res.status(404).json({ error: '任务不存在或已发布' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '已取消定时发布',
+      job: summarizeJob(result.job),
+      commit: result.commit
+    });
+    
+  } catch (error) {
+    console.error('处理定时发布失败:', error);
+    
+    if (error.conflict) {
+      return res.status(409).json({ error: '发布队列正被频繁更新，请稍后再试' });
+    }
+    
+    if (error.status === 403) {
+      return res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+    }
+    
+    return res.status(500).json({ 
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,45 @@
+import { applyCors, loadWriteTokens, readActiveSession } from './_lib/access.js';
+import { clearSession, describeSession } from './_lib/session.js';
+
+// GET：返回当前的通行密钥会话；DELETE：退出登录
+// 会话 Cookie 是 HttpOnly 的，前端只能通过这里知道自己是否已登录
+export default async function handler(req, res) {
+  if (!applyCors(req, res, { methods: 'GET, DELETE, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    res.status(405).json({ error: '仅支持 GET 或 DELETE 请求' });
+    return;
+  }
+
+  const secret = process.env.SESSION_SECRET;
+
+  if (req.method === 'DELETE') {
+    clearSession(res);
+    res.status(200).json({ success: true, signedIn: false });
+    return;
+  }
+
+  // 源令牌失效的会话写入时会被拒绝，这里也报告为未登录
+  let session = null;
+  if (secret) {
+    try {
+      session = readActiveSession(req, { secret, tokens: loadWriteTokens(process.env) }).session || null;
+    } catch (error) {
+      console.error('访问令牌配置错误:', error.message);
+    }
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({
+    passkeysEnabled: !!secret,
+    signedIn: !!session,
+    ...(session ? { session: describeSession(session) } : {})
+  });
+}
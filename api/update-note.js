@@ -0,0 +1,138 @@
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import {
+  checkNoteLang,
+  cleanNoteTags,
+  createMarkdownContent,
+  parseNoteMarkdown,
+  resolveNotePath
+} from './_lib/notes.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function updateNoteHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleUpdateNote(req, res, { fetch, store });
+  };
+}
+
+export default updateNoteHandler();
+
+async function handleUpdateNote(req, res, { fetch, store }) {
+  // 设置 CORS 头
+  if (!applyCors(req, res, { methods: 'PATCH, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'PATCH') {
+    return res.status(405).json({ error: '仅支持 PATCH 请求' });
+  }
+
+  // 检查环境变量并验证访问密钥
+  const token = await requireWriteAccess(req, res, 'notes', { store });
+  if (!token) {
+    return;
+  }
+
+  await runIdempotent(req, res, { store, token }, response => processUpdateNote(req, response, { fetch }));
+}
+
+async function processUpdateNote(req, res, { fetch }) {
+  // note 可以是文件名，也可以是 /notes/note-YYYY-MM-DD-HHmm 形式的笔记地址
+  const { note, content, tags, lang } = req.body || {};
+  const filepath = resolveNotePath(note);
+
+  if (!filepath) {
+    return res.status(400).json({ error: '请提供有效的笔记文件名或链接' });
+  }
+
+  if (content !== undefined && (typeof content !== 'string' || !content.trim())) {
+    return res.status(400).json({ error: '笔记内容不能为空' });
+  }
+
+  let cleanedTags;
+  if (tags !== undefined) {
+    try {
+      cleanedTags = Array.isArray(tags) ? cleanNoteTags(tags) : [];
+    } catch (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (cleanedTags.length === 0) {
+      return res.status(400).json({ error: '请提供有效的标签' });
+    }
+  }
+
+  if (lang !== undefined) {
+    try {
+      checkNoteLang(lang);
+    } catch (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+  }
+
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-note-writer',
+      ...(fetch ? { fetch } : {})
+    });
+
+    const existingFile = await github.getFile(filepath);
+    if (!existingFile) {
+      return res.status(404).json({ error: '笔记不存在' });
+    }
+
+    const existing = parseNoteMarkdown(existingFile.content.toString('utf8'));
+    if (!existing) {
+      return res.status(422).json({ error: '无法解析现有笔记的 front matter' });
+    }
+
+    // 未提供的字段沿用原值，标题和日期保持不变，避免笔记链接变化；地点字段原样保留
+    const markdownContent = createMarkdownContent({
+      title: existing.title,
+      date: existing.date,
+      location: existing.location,
+      latitude: existing.latitude,
+      longitude: existing.longitude,
+      timezone: existing.timezone,
+      tags: cleanedTags || existing.tags,
+      lang: lang !== undefined ? lang : existing.lang,
+      content: content !== undefined ? content.trim() : existing.content.trim()
+    });
+
+    const filename = filepath.split('/').pop();
+    const commitResult = await github.putFile({
+      path: filepath,
+      content: markdownContent,
+      sha: existingFile.sha,
+      message: `feat: Update note ${filename.replace(/\.md$/, '')}`
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: '笔记更新成功',
+      filename,
+      commit: commitResult.sha
+    });
+    
+  } catch (error) {
+    console.error('更新笔记失败:', error);
+    
+    if (error.status === 409) {
+      return res.status(409).json({ error: '笔记已被其他提交修改，请刷新后重试' });
+    }
+    
+    if (error.status === 403) {
+      return res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+    }
+    
+    return res.status(500).json({ 
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
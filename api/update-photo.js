@@ -0,0 +1,130 @@
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import {
+  EDITABLE_META_FIELDS,
+  findPhotoById,
+  mergePhoto,
+  photosFile,
+  readPhotos
+} from './_lib/photos.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function updatePhotoHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleUpdatePhoto(req, res, { fetch, store });
+  };
+}
+
+export default updatePhotoHandler();
+
+async function handleUpdatePhoto(req, res, { fetch, store }) {
+  // 设置 CORS 头
+  if (!applyCors(req, res, { methods: 'PATCH, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'PATCH') {
+    return res.status(405).json({ error: '仅支持 PATCH 请求' });
+  }
+
+  // 检查环境变量并验证访问密钥
+  const token = await requireWriteAccess(req, res, 'photos', { store });
+  if (!token) {
+    return;
+  }
+
+  await runIdempotent(req, res, { store, token }, response => processUpdatePhoto(req, response, { fetch }));
+}
+
+async function processUpdatePhoto(req, res, { fetch }) {
+  // { id, meta: { alt?, caption?, location? } }；caption、location 传空字符串表示清除
+  const { id, meta } = req.body || {};
+
+  if (!id || typeof id !== 'string') {
+    return res.status(400).json({ error: '请提供照片 id' });
+  }
+
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+    return res.status(400).json({ error: '请提供要修改的 meta 字段' });
+  }
+
+  const fields = Object.keys(meta);
+  const unknownFields = fields.filter(field => !EDITABLE_META_FIELDS.includes(field));
+  if (fields.length === 0 || unknownFields.length > 0) {
+    return res.status(400).json({ error: `只能修改 ${EDITABLE_META_FIELDS.join('、')} 字段` });
+  }
+
+  if (fields.some(field => typeof meta[field] !== 'string')) {
+    return res.status(400).json({ error: 'meta 字段必须是字符串' });
+  }
+
+  if ('alt' in meta && !meta.alt.trim()) {
+    return res.status(400).json({ error: '替代文本不能为空' });
+  }
+
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-photo-uploader',
+      ...(fetch ? { fetch } : {})
+    });
+
+    let updated = null;
+    const commitResult = await github.commitWithRetry({
+      message: `feat: Update photo ${id}`,
+      buildFiles: async head => {
+        const photos = await readPhotos(github, { ref: head.sha });
+        const existing = findPhotoById(photos, id);
+        if (!existing) {
+          updated = null;
+          return null;
+        }
+
+        const nextMeta = { ...existing.meta };
+        for (const field of fields) {
+          const value = meta[field].trim();
+          if (value) {
+            nextMeta[field] = value;
+          } else {
+            delete nextMeta[field];
+          }
+        }
+
+        updated = { ...existing, meta: nextMeta };
+        return [photosFile(mergePhoto(photos, updated))];
+      }
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: '照片不存在' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '照片信息已更新',
+      photo: updated,
+      commit: commitResult.sha
+    });
+
+  } catch (error) {
+    console.error('更新照片失败:', error);
+
+    if (error.conflict) {
+      return res.status(409).json({ error: '照片库正被频繁更新，多次重试后仍未成功，请稍后再试' });
+    }
+
+    if (error.status === 403) {
+      return res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+    }
+
+    return res.status(500).json({
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,188 @@
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import {
+  buildPublishInfo,
+  checkPostImageFields,
+  createMarkdown,
+  generateSlug,
+  parsePostMarkdown,
+  resolvePostPath,
+  slugFromFilename
+} from './_lib/posts.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function updatePostHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleUpdatePost(req, res, { fetch, store });
+  };
+}
+
+export default updatePostHandler();
+
+// GET ?filename= 读取文章供编辑，PATCH 提交修订
+async function handleUpdatePost(req, res, { fetch, store }) {
+  if (!applyCors(req, res, { methods: 'GET, PATCH, OPTIONS' })) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PATCH') {
+    res.status(405).json({ error: '仅支持 GET 或 PATCH 请求' });
+    return;
+  }
+
+  const token = await requireWriteAccess(req, res, 'posts', { store });
+  if (!token) {
+    return;
+  }
+
+  await runIdempotent(req, res, { store, token }, response => processUpdatePost(req, response, { fetch }));
+}
+
+async function processUpdatePost(req, res, { fetch }) {
+  const input = req.method === 'GET' ? (req.query || {}) : (req.body || {});
+  const filepath = resolvePostPath(input.filename);
+
+  if (!filepath) {
+    res.status(400).json({ error: '请提供有效的文章文件名' });
+    return;
+  }
+
+  const filename = filepath.split('/').pop();
+
+  try {
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-post-writer',
+      ...(fetch ? { fetch } : {})
+    });
+
+    const existingFile = await github.getFile(filepath);
+    if (!existingFile) {
+      res.status(404).json({ error: '文章不存在' });
+      return;
+    }
+
+    const existing = parsePostMarkdown(existingFile.content.toString('utf8'));
+    if (!existing) {
+      res.status(422).json({ error: '无法解析现有文章的 front matter' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      res.status(200).json({
+        success: true,
+        filename,
+        post: {
+          title: existing.title,
+          body: existing.body,
+          slug: existing.slug || slugFromFilename(filename),
+          lang: existing.lang,
+          feature: existing.feature ? 1 : 0,
+          image: existing.image,
+          image_text: existing.imageText,
+          date: existing.date
+        }
+      });
+      return;
+    }
+
+    const revision = mergeRevision(existing, input);
+    if (revision.error) {
+      res.status(400).json({ error: revision.error });
+      return;
+    }
+
+    const markdown = createMarkdown({
+      ...revision.post,
+      explicitSlug: Boolean(revision.post.slug),
+      extraFrontMatter: existing.extraFrontMatter
+    });
+
+    const commitResult = await github.putFile({
+      path: filepath,
+      content: markdown,
+      sha: existingFile.sha,
+      message: `feat: Update post ${filename.replace(/\.md$/, '')}`
+    });
+
+    res.status(200).json({
+      success: true,
+      url: `/posts/${revision.post.slug || slugFromFilename(filename)}/`,
+      filename,
+      commit: commitResult.sha
+    });
+  } catch (error) {
+    console.error('修订文章失败:', error);
+
+    if (error.status === 409) {
+      res.status(409).json({ error: '文章已被其他提交修改，请重新加载后再编辑' });
+      return;
+    }
+
+    if (error.status === 403) {
+      res.status(403).json({ error: 'GitHub 权限不足，请检查 token 权限' });
+      return;
+    }
+
+    res.status(500).json({
+      error: '服务器错误，请稍后重试',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// 未提供的字段沿用原值
+function mergeRevision(existing, input) {
+  const has = key => Object.prototype.hasOwnProperty.call(input, key);
+
+  const title = has('title') ? String(input.title).trim() : existing.title;
+  if (!title) {
+    return { error: '标题不能为空' };
+  }
+
+  const body = has('body') ? String(input.body).trim() : existing.body;
+  if (!body) {
+    return { error: '正文不能为空' };
+  }
+
+  // GET 原样返回文件里的日期（可能是 `2025-10-11` 这样的旧格式），没改动时照旧保留
+  let date = existing.date;
+  if (has('date') && input.date !== existing.date) {
+    const publishInfo = buildPublishInfo(input.date);
+    if (publishInfo.frontMatter !== input.date) {
+      return { error: '日期格式应为 YYYY/MM/DD HH:mm' };
+    }
+    date = publishInfo.frontMatter;
+  }
+
+  const imageError = checkPostImageFields(input);
+  if (imageError) {
+    return { error: imageError };
+  }
+
+  const lang = has('lang') && typeof input.lang === 'string' && input.lang.trim()
+    ? input.lang.trim()
+    : existing.lang;
+
+  return {
+    post: {
+      title,
+      body,
+      date,
+      lang,
+      layout: existing.layout,
+      openHeart: existing.openHeart,
+      slug: has('slug') && input.slug ? generateSlug(input.slug) : existing.slug,
+      feature: has('feature')
+        ? input.feature === 1 || input.feature === '1' || input.feature === true
+        : existing.feature,
+      image: has('image') ? input.image : existing.image,
+      imageText: has('image_text') ? input.image_text : existing.imageText
+    }
+  };
+}
@@ -1,44 +1,23 @@
-// 生成统一的照片命名和ID
-function generatePhotoNaming(originalFilename, altText) {
-  const now = new Date();
-  const shanghaiTime = new Date(now.getTime() + (8 * 60 * 60 * 1000));
-  const dateStr = shanghaiTime.toISOString().split('T')[0]; // YYYY-MM-DD
-  const dateNum = dateStr.replace(/-/g, ''); // YYYYMMDD
-
-  // 生成描述性slug
-  let description = altText || 'photo';
-  description = description
-    .toLowerCase()
-    .replace(/[^\u4e00-\u9fa5a-zA-Z0-9\s]/g, '') // 保留中英文数字空格
-    .replace(/\s+/g, '-') // 空格替换为短横线
-    .substring(0, 30); // 限制长度
-
-  if (!description) {
-    description = 'photo';
-  }
-
-  // 生成序列号 (基于当天照片数量)
-  const sequence = Math.floor(Math.random() * 999) + 1; // 1-999
-  const sequenceStr = sequence.toString().padStart(3, '0');
-
-  // 生成文件名和ID
-  const fileExtension = originalFilename.split('.').pop() || 'jpg';
-  const generatedFilename = `${dateStr}-${description}.${fileExtension}`;
-  const generatedId = `photo-${dateNum}-${sequenceStr}`;
-
-  return {
-    generatedFilename,
-    generatedId,
-    description,
-    sequence: sequenceStr
+import { createGitHubClientFromEnv } from './_lib/github.js';
+import { applyCors, requireWriteAccess } from './_lib/access.js';
+import { runIdempotent } from './_lib/idempotency.js';
+import { placePhotos, photosFile, preparePhoto, readPhotos } from './_lib/photos.js';
+import { bufferPhotoUpload, readPhotoUpload } from './_lib/upload.js';
+
+// fetch 和限流存储可注入，便于对着本地替身接口测试
+export function createPhotoHandler({ fetch, store } = {}) {
+  return async function handler(req, res) {
+    return handleUploadPhoto(req, res, { fetch, store });
   };
 }
 
-export default async function handler(req, res) {
+export default createPhotoHandler();
+
+async function handleUploadPhoto(req, res, { fetch, store }) {
   // 设置 CORS 头
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Access-Key');
+  if (!applyCors(req, res, { methods: 'POST, OPTIONS', headers: 'Content-Type, X-Access-Key, Idempotency-Key, X-Photo-Filename, X-Photo-Data' })) {
+    return;
+  }
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -49,35 +28,38 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: '仅支持 POST 请求' });
   }
 
-  // 检查环境变量
-  const { GITHUB_TOKEN, GITHUB_REPO, WRITE_ACCESS_KEY } = process.env;
-  
-  if (!GITHUB_TOKEN || !GITHUB_REPO || !WRITE_ACCESS_KEY) {
-    console.error('缺少必要的环境变量:', {
-      hasToken: !!GITHUB_TOKEN,
-      hasRepo: !!GITHUB_REPO, 
-      hasKey: !!WRITE_ACCESS_KEY
-    });
-    return res.status(500).json({ error: '服务器配置错误' });
+  // 检查环境变量并验证访问密钥
+  const token = await requireWriteAccess(req, res, 'photos', { store });
+  if (!token) {
+    return;
   }
 
-  // 验证访问密钥
-  const accessKey = req.headers['x-access-key'];
-  if (!accessKey || accessKey !== WRITE_ACCESS_KEY) {
-    return res.status(401).json({ error: '无效的访问密钥' });
+  try {
+    await bufferPhotoUpload(req);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
   }
 
-  // 验证请求数据
-  const { 
-    imageData,     // base64图片数据 
-    filename,      // 文件名
-    photoData      // 照片元数据 (id, uploaded, variants, meta)
-  } = req.body;
-  
-  if (!imageData || !imageData.startsWith('data:image/')) {
-    return res.status(400).json({ error: '无效的图片数据' });
+  await runIdempotent(req, res, { store, token }, response => processUploadPhoto(req, response, { fetch }));
+}
+
+async function processUploadPhoto(req, res, { fetch }) {
+  // 读取图片和元数据；大小、类型不合规时在处理图片之前就拒绝
+  let upload;
+  try {
+    upload = await readPhotoUpload(req);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
   }
-  
+
+  const { imageBuffer, imageType, filename, photoData } = upload;
+
   if (!filename || !filename.trim()) {
     return res.status(400).json({ error: '文件名不能为空' });
   }
@@ -87,53 +69,73 @@ export default async function handler(req, res) {
   }
 
   try {
-    // 处理base64图片数据
-    const matches = imageData.match(/^data:image\/([a-zA-Z+]+);base64,(.+)$/);
-    if (!matches || matches.length !== 3) {
-      return res.status(400).json({ error: '图片数据格式错误' });
+    let prepared;
+    try {
+      prepared = await preparePhoto({ imageBuffer, imageType, filename, photoData });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
     }
 
-    const imageType = matches[1];
-    const imageBuffer = matches[2];
-
-    // 生成统一的文件名和ID
-    const { generatedFilename, generatedId, description } = generatePhotoNaming(filename, photoData.meta.alt || 'photo');
-    const imagePath = `images/photos/${generatedFilename}`;
-
-    // 更新photoData的ID和文件路径（保持与现有数据结构一致）
-    photoData.id = generatedId;
-    photoData.variants = [`/images/photos/${generatedFilename}`];
-    
-    // 上传图片文件到GitHub
-    const imageCommitResult = await commitToGitHub({
-      token: GITHUB_TOKEN,
-      repo: GITHUB_REPO,
-      filepath: imagePath,
-      content: imageBuffer,
-      message: `feat: Upload photo ${generatedId}`,
-      isBinary: true
+    const github = createGitHubClientFromEnv(process.env, {
+      userAgent: 'site-photo-uploader',
+      ...(fetch ? { fetch } : {})
     });
 
-    // 更新 photos.json 文件
-    const photosJsonResult = await updatePhotosJson({
-      token: GITHUB_TOKEN,
-      repo: GITHUB_REPO,
-      photoData: photoData
+    // 每次尝试都基于同一个基准提交读取现状，保证图片和 photos.json 在一次提交里写入；
+    // 与其他上传撞车时重新读取、按 id 合并后重试
+    let placed = null;
+    const commitResult = await github.commitWithRetry({
+      message: `feat: Upload photo ${prepared.basePath.split('/').pop()}`,
+      buildFiles: async head => {
+        const photos = await readPhotos(github, { ref: head.sha });
+        const { files, photos: nextPhotos, results } = await placePhotos(github, {
+          ref: head.sha,
+          photos,
+          items: [prepared]
+        });
+        placed = results[0];
+
+        // 同一张图已经在清单里时不再提交，直接返回已有条目
+        return placed.duplicate ? null : [...files, photosFile(nextPhotos)];
+      }
     });
 
+    const { photo } = placed;
+
+    if (placed.duplicate) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: '这张照片已经上传过',
+        photoId: photo.id,
+        imagePath: placed.imagePath,
+        photo
+      });
+    }
+
     return res.status(200).json({
       success: true,
       message: '照片上传成功',
-      photoId: generatedId,
-      filename: generatedFilename,
-      imagePath: imagePath,
-      imageCommit: imageCommitResult.sha,
-      dataCommit: photosJsonResult.sha
+      photoId: photo.id,
+      filename: placed.imagePath.split('/').pop(),
+      imagePath: placed.imagePath,
+      variants: photo.variants,
+      dimensions: photo.dimensions,
+      exif: photo.meta.exif || null,
+      location: photo.meta.location || null,
+      commit: commitResult.sha
     });
     
   } catch (error) {
     console.error('上传照片失败:', error);
     
+    if (error.conflict) {
+      return res.status(409).json({ error: '照片库正被频繁更新，多次重试后仍未成功，请稍后再试' });
+    }
+    
     if (error.status === 422) {
       return res.status(400).json({ error: '文件已存在或路径无效' });
     }
@@ -148,152 +150,3 @@ export default async function handler(req, res) {
     });
   }
 }
-
-// 提交文件到 GitHub
-async function commitToGitHub({ token, repo, filepath, content, message, isBinary = false }) {
-  const baseUrl = 'https://api.github.com';
-  const headers = {
-    'Authorization': `token ${token}`,
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'site-photo-uploader'
-  };
-  
-  // 检查文件是否已存在
-  let existingFile = null;
-  try {
-    const checkResponse = await fetch(`${baseUrl}/repos/${repo}/contents/${filepath}`, {
-      headers
-    });
-    
-    if (checkResponse.ok) {
-      existingFile = await checkResponse.json();
-      // 如果文件已存在，生成新的文件名
-      const timestamp = Date.now().toString().slice(-6);
-      const parts = filepath.split('.');
-      parts[0] += `-${timestamp}`;
-      filepath = parts.join('.');
-    }
-  } catch (error) {
-    // 文件不存在，继续创建
-  }
-  
-  // 创建或更新文件
-  const payload = {
-    message,
-    content: isBinary ? content : Buffer.from(content, 'utf8').toString('base64'),
-    branch: 'main',
-    author: {
-      name: 'Bazinga',
-      email: 'zjb15239430906@gmail.com'
-    },
-    committer: {
-      name: 'Bazinga',
-      email: 'zjb15239430906@gmail.com'
-    }
-  };
-
-  if (existingFile) {
-    payload.sha = existingFile.sha;
-  }
-  
-  const response = await fetch(`${baseUrl}/repos/${repo}/contents/${filepath}`, {
-    method: 'PUT',
-    headers: {
-      ...headers,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
-  
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    const errorObj = new Error(error.message || 'GitHub API 请求失败');
-    errorObj.status = response.status;
-    errorObj.details = error;
-    throw errorObj;
-  }
-  
-  return await response.json();
-}
-
-// 更新 photos.json 文件
-async function updatePhotosJson({ token, repo, photoData }) {
-  const baseUrl = 'https://api.github.com';
-  const headers = {
-    'Authorization': `token ${token}`,
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'site-photo-uploader'
-  };
-  
-  const photosJsonPath = '_data/photos.json';
-  
-  // 获取现有的 photos.json 文件
-  let existingPhotos = [];
-  let existingFile = null;
-  
-  try {
-    const response = await fetch(`${baseUrl}/repos/${repo}/contents/${photosJsonPath}`, {
-      headers
-    });
-    
-    if (response.ok) {
-      existingFile = await response.json();
-      const content = Buffer.from(existingFile.content, 'base64').toString('utf8');
-      existingPhotos = JSON.parse(content);
-    }
-  } catch (error) {
-    // 文件不存在或解析错误，使用空数组
-    console.warn('无法读取现有 photos.json，将创建新文件');
-  }
-  
-  // 检查是否已存在相同ID的照片
-  const existingIndex = existingPhotos.findIndex(photo => photo.id === photoData.id);
-  if (existingIndex >= 0) {
-    // 更新现有照片
-    existingPhotos[existingIndex] = photoData;
-  } else {
-    // 添加新照片到数组开头
-    existingPhotos.unshift(photoData);
-  }
-  
-  // 生成更新的JSON内容
-  const updatedContent = JSON.stringify(existingPhotos, null, 2);
-  
-  // 提交更新的 photos.json
-  const payload = {
-    message: `feat: Add photo metadata ${photoData.id}`,
-    content: Buffer.from(updatedContent, 'utf8').toString('base64'),
-    branch: 'main',
-    author: {
-      name: 'Bazinga',
-      email: 'zjb15239430906@gmail.com'
-    },
-    committer: {
-      name: 'Bazinga',
-      email: 'zjb15239430906@gmail.com'
-    }
-  };
-
-  if (existingFile) {
-    payload.sha = existingFile.sha;
-  }
-  
-  const response = await fetch(`${baseUrl}/repos/${repo}/contents/${photosJsonPath}`, {
-    method: 'PUT',
-    headers: {
-      ...headers,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
-  
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    const errorObj = new Error(error.message || 'GitHub API 请求失败');
-    errorObj.status = response.status;
-    errorObj.details = error;
-    throw errorObj;
-  }
-  
-  return await response.json();
-}
\ No newline at end of file
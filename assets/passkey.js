@@ -0,0 +1,219 @@
+/**
+ * Passkey sign-in for the writing pages.
+ *
+ * The API keeps the session in an HttpOnly cookie, so pages ask /api/session
+ * whether they are signed in. Once signed in, write requests can leave out
+ * the X-Access-Key header.
+ */
+
+export function isPasskeySupported() {
+  return typeof window !== 'undefined'
+    && typeof window.PublicKeyCredential === 'function'
+    && !!navigator.credentials
+}
+
+export async function getPasskeySession() {
+  const response = await fetch('/api/session', { cache: 'no-store' })
+  if (!response.ok) {
+    return { passkeysEnabled: false, signedIn: false }
+  }
+  return response.json()
+}
+
+export async function signInWithPasskey() {
+  const options = await requestJson('/api/passkey-login')
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+      allowCredentials: (options.allowCredentials || []).map(toDescriptor)
+    }
+  })
+
+  const result = await requestJson('/api/passkey-login', {
+    method: 'POST',
+    body: { response: serializeCredential(credential) }
+  })
+  return result.session
+}
+
+// Registering needs an existing credential: an access key, or the current session
+export async function registerPasskey({ accessKey, name }) {
+  const headers = accessKey ? { 'X-Access-Key': accessKey } : {}
+  const options = await requestJson('/api/passkey-register', { headers })
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+      user: { ...options.user, id: fromBase64Url(options.user.id) },
+      excludeCredentials: (options.excludeCredentials || []).map(toDescriptor)
+    }
+  })
+
+  const result = await requestJson('/api/passkey-register', {
+    method: 'POST',
+    headers,
+    body: { name, response: serializeCredential(credential) }
+  })
+  return result.session
+}
+
+export async function signOutPasskey() {
+  await fetch('/api/session', { method: 'DELETE' })
+}
+
+/**
+ * Renders the sign-in controls next to a page's access key field.
+ * `onChange` receives the session, or null when signed out.
+ */
+export async function attachPasskeyControls({ container, accessKeyInput, onChange = () => {} }) {
+  if (!container || !isPasskeySupported()) return
+
+  let state
+  try {
+    state = await getPasskeySession()
+  } catch (error) {
+    return
+  }
+  if (!state.passkeysEnabled) return
+
+  const defaultPlaceholder = accessKeyInput ? accessKeyInput.placeholder : ''
+  const status = document.createElement('span')
+  status.className = 'passkey-status field-hint'
+  const signInButton = createButton('Sign in with passkey')
+  const registerButton = createButton('Register this device')
+  const signOutButton = createButton('Sign out')
+
+  container.replaceChildren(status, signInButton, registerButton, signOutButton)
+  container.hidden = false
+
+  let current = null
+
+  function render(session, message) {
+    current = session || null
+    const signedIn = !!current
+    signInButton.hidden = signedIn
+    signOutButton.hidden = !signedIn
+
+    if (accessKeyInput) {
+      accessKeyInput.required = !signedIn
+      accessKeyInput.placeholder = signedIn ? 'Signed in with a passkey, no key needed' : defaultPlaceholder
+    }
+
+    status.textContent = message || (signedIn
+      ? `Signed in as ${session.name} until ${formatTime(session.expiresAt)}.`
+      : 'Or sign in with a passkey instead of pasting the key.')
+    onChange(current)
+  }
+
+  async function run(button, action) {
+    button.disabled = true
+    try {
+      await action()
+    } catch (error) {
+      // NotAllowedError means the user dismissed the browser prompt
+      const message = error.name === 'NotAllowedError'
+        ? 'Passkey prompt was cancelled.'
+        : (error.message || 'Passkey request failed.')
+      render(current, message)
+    } finally {
+      button.disabled = false
+    }
+  }
+
+  signInButton.addEventListener('click', () => run(signInButton, async () => {
+    render(await signInWithPasskey())
+  }))
+
+  registerButton.addEventListener('click', () => run(registerButton, async () => {
+    // Signed-in sessions can add another passkey, such as a hardware key
+    const accessKey = accessKeyInput ? accessKeyInput.value.trim() : ''
+    if (!accessKey && !current) {
+      render(null, 'Enter the access key first, then register this device.')
+      return
+    }
+    const name = window.prompt('Name this device', guessDeviceName())
+    if (!name) return
+    render(await registerPasskey({ accessKey, name }))
+  }))
+
+  signOutButton.addEventListener('click', () => run(signOutButton, async () => {
+    await signOutPasskey()
+    render(null, 'Signed out.')
+  }))
+
+  render(state.signedIn ? state.session : null)
+}
+
+async function requestJson(url, { method = 'GET', headers = {}, body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const result = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed (${response.status})`)
+  }
+  return result
+}
+
+function createButton(label) {
+  const button = document.createElement('button')
+  button.type = 'button'
+  button.className = 'ghost-button ghost-button--sm'
+  button.textContent = label
+  return button
+}
+
+function toDescriptor(descriptor) {
+  return { ...descriptor, id: fromBase64Url(descriptor.id) }
+}
+
+function serializeCredential(credential) {
+  const { response } = credential
+  const serialized = {
+    clientDataJSON: toBase64Url(response.clientDataJSON)
+  }
+
+  if (response.attestationObject) {
+    serialized.attestationObject = toBase64Url(response.attestationObject)
+    serialized.transports = typeof response.getTransports === 'function' ? response.getTransports() : []
+  }
+  if (response.authenticatorData) {
+    serialized.authenticatorData = toBase64Url(response.authenticatorData)
+    serialized.signature = toBase64Url(response.signature)
+    serialized.userHandle = response.userHandle ? toBase64Url(response.userHandle) : undefined
+  }
+
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    authenticatorAttachment: credential.authenticatorAttachment || undefined,
+    clientExtensionResults: credential.getClientExtensionResults(),
+    response: serialized
+  }
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4)
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0))
+}
+
+function toBase64Url(buffer) {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  bytes.forEach(byte => { binary += String.fromCharCode(byte) })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function guessDeviceName() {
+  const platform = navigator.userAgentData?.platform || navigator.platform || 'This device'
+  return platform.slice(0, 40)
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+}
@@ -0,0 +1,251 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/../.." && pwd)"
+cd "$ROOT_DIR"
+
+# Feed hostile titles, tags, captions and slugs through every front matter
+# generator, then read the files back with Ruby's YAML parser (what Jekyll uses)
+# and with our own parsers. Both must return exactly what went in.
+
+if ! command -v node >/dev/null 2>&1 || ! command -v ruby >/dev/null 2>&1; then
+  echo "node and ruby are required for the front matter check"
+  exit 1
+fi
+
+work_dir="$(mktemp -d)"
+trap 'rm -rf "$work_dir"' EXIT
+
+WORK_DIR="$work_dir" node --input-type=module - <<'NODE'
+import assert from "assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+const root = process.cwd();
+const load = file => import(pathToFileURL(path.join(root, file)));
+
+const { createMarkdownContent, parseNoteMarkdown } = await load("api/_lib/notes.js");
+const { createMarkdown, parsePostMarkdown } = await load("api/_lib/posts.js");
+const workDir = process.env.WORK_DIR;
+fs.mkdirSync(path.join(workDir, "_stories"));
+
+const HOSTILE = [
+  "plain words",
+  "key: value",
+  "ends with colon:",
+  "a #not a comment",
+  "# comment",
+  "double \"quotes\"",
+  "single 'quotes'",
+  "'wrapped'",
+  "\"wrapped\"",
+  "back\\slash \\n not a newline",
+  "C:\\path\\file",
+  "line one\nline two",
+  "crlf\r\nline",
+  "tab\tinside",
+  "---",
+  "--- \n---\nlayout: evil",
+  "...",
+  "- dash",
+  "* star",
+  "&anchor",
+  "*alias",
+  "!tag",
+  "!!str",
+  "%YAML 1.2",
+  "@at",
+  "`tick`",
+  "|",
+  ">",
+  "? key",
+  "[a, b]",
+  "{a: 1}",
+  ", comma",
+  "=",
+  "<<",
+  "yes",
+  "No",
+  "off",
+  "ON",
+  "y",
+  "null",
+  "Null",
+  "~",
+  "true",
+  "123",
+  "-1.5",
+  "0x1F",
+  "0o17",
+  "1e3",
+  "1,000",
+  "1_000",
+  ".inf",
+  ".NaN",
+  "12:30",
+  ":symbol",
+  "2025-10-30",
+  "2025-10-30 00:30:00",
+  "2025/10/30 00:30",
+  " leading space",
+  "trailing space ",
+  "",
+  " ",
+  "emoji 🎉 and 汉字：冒号",
+  "nbsp\u00a0inside",
+  "line\u2028separator",
+  "paragraph\u2029separator",
+  "next\u0085line",
+  "bell\u0007 and del\u007f",
+  "nul\u0000byte",
+  "\ufeffbom",
+  "esc\u001b[31m",
+  "<script>alert(1)</script>",
+  "https://example.com/a?b=c#fragment",
+  "O'Hare, Chicago"
+];
+
+// [input, what it should read back as]
+const CASES = [
+  ...HOSTILE.map(value => [value, value]),
+  ["lone \ud800 surrogate", "lone \ufffd surrogate"]
+];
+
+const date = "2025/10/30 00:30";
+const results = [];
+
+CASES.forEach(([input, expected], index) => {
+  const noteMarkdown = createMarkdownContent({
+    title: input,
+    date,
+    location: input,
+    tags: [input, "plain"],
+    lang: "en-US",
+    content: "Body"
+  });
+  const noteFields = {
+    title: expected,
+    layout: "default",
+    open_heart: true,
+    date,
+    ...(input ? { location: expected } : {}),
+    tags: [expected, "plain"],
+    lang: "en-US"
+  };
+  const note = parseNoteMarkdown(noteMarkdown);
+  assert.ok(note, `note ${index} did not parse`);
+  assert.equal(note.title, expected, `note ${index} title`);
+  assert.equal(note.location, input ? expected : undefined, `note ${index} location`);
+  assert.deepEqual(note.tags, [expected, "plain"], `note ${index} tags`);
+  assert.equal(note.content, "Body\n", `note ${index} content`);
+  results.push({ name: `note ${index}`, markdown: noteMarkdown, fields: noteFields });
+
+  const postMarkdown = createMarkdown({
+    title: input,
+    body: "Body",
+    slug: input,
+    lang: "en-US",
+    feature: true,
+    image: input,
+    imageText: input,
+    date,
+    explicitSlug: true
+  });
+  const postFields = {
+    title: expected,
+    date,
+    feature: 1,
+    ...(expected.trim() ? { image: expected.trim(), image_text: expected.trim() } : {}),
+    ...(input ? { slug: expected } : {})
+  };
+  const post = parsePostMarkdown(postMarkdown);
+  assert.ok(post, `post ${index} did not parse`);
+  assert.equal(post.title, expected, `post ${index} title`);
+  assert.equal(post.slug, input ? expected : undefined, `post ${index} slug`);
+  assert.equal(post.image, expected.trim(), `post ${index} image`);
+  assert.equal(post.imageText, expected.trim(), `post ${index} image_text`);
+  assert.equal(post.body, "Body", `post ${index} body`);
+  assert.deepEqual(post.extraFrontMatter, [], `post ${index} unknown keys`);
+  results.push({ name: `post ${index}`, markdown: postMarkdown, fields: postFields });
+
+  // media.js rejects blank tags, so those cases only exercise the caption and alt text
+  const id = `story-${index}`;
+  const tag = input.trim() ? input : "blank";
+  const story = spawnSync(process.execPath, [path.join(root, ".github/workflows/scripts/media.js")], {
+    cwd: workDir,
+    encoding: "utf8",
+    env: {
+      ...process.env,
+      MEDIA_FILEPATH: "_data/stories.json",
+      MEDIA_FILEDATA: JSON.stringify({
+        id,
+        uploaded: "2025-10-29T16:30:00Z",
+        variants: [`https://imagedelivery.net/hash/${id}/public`],
+        meta: { title: "Title", alt: input, caption: input, tags: [tag] }
+      })
+    }
+  });
+  assert.equal(story.status, 0, `media.js failed for story ${index}: ${story.stderr}`);
+  results.push({
+    name: `story ${index}`,
+    markdown: fs.readFileSync(path.join(workDir, "_stories", `${id}.md`), "utf8"),
+    fields: { layout: "story", tags: [input.trim() ? expected : "blank"], caption: expected, alt: expected || "Title" }
+  });
+});
+
+fs.writeFileSync(path.join(workDir, "cases.json"), JSON.stringify(results));
+console.log(`Generated ${results.length} files and read them back with our parsers.`);
+NODE
+
+WORK_DIR="$work_dir" ruby <<'RUBY'
+require 'date'
+require 'json'
+require 'yaml'
+
+# Same front matter pattern as Jekyll::Document::YAML_FRONT_MATTER_REGEXP
+FRONT_MATTER = /\A(---\s*\n.*?\n?)^((---|\.\.\.)\s*$\n?)/m
+
+cases = JSON.parse(File.read(File.join(ENV.fetch('WORK_DIR'), 'cases.json')))
+errors = []
+
+cases.each do |entry|
+  match = FRONT_MATTER.match(entry['markdown'])
+  unless match
+    errors << "#{entry['name']}: no front matter found"
+    next
+  end
+
+  begin
+    data = YAML.safe_load(match[1], permitted_classes: [Date, Time])
+  rescue Psych::Exception => e
+    errors << "#{entry['name']}: #{e.message}"
+    next
+  end
+
+  unless data.is_a?(Hash)
+    errors << "#{entry['name']}: front matter is not a mapping"
+    next
+  end
+
+  entry['fields'].each do |key, expected|
+    next if data[key] == expected
+
+    errors << "#{entry['name']}: #{key} is #{data[key].inspect}, expected #{expected.inspect}"
+  end
+
+  unless match.post_match.include?('Body') || entry['name'].start_with?('story')
+    errors << "#{entry['name']}: body was swallowed by the front matter"
+  end
+end
+
+if errors.empty?
+  puts "Front matter check passed (#{cases.length} files)."
+  exit 0
+end
+
+puts 'Front matter check failed:'
+errors.each { |line| puts "  - #{line}" }
+exit 1
+RUBY
@@ -0,0 +1,224 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/../.." && pwd)"
+cd "$ROOT_DIR"
+
+# Run .github/workflows/scripts/media.js on each Cloudflare payload in
+# scripts/check/fixtures/stories/ and compare the story it writes with the
+# matching `.md` file. Payloads named `invalid-*.json` must be rejected with
+# the message in the matching `.txt` file, without writing anything.
+#
+# Then archive the stories in scripts/check/fixtures/stories-archive/ with
+# api/_lib/stories.js against the in-memory GitHub: highlights stay, the rest
+# move to the archive for their month in the site time zone (once, even after
+# a retry) and leave a redirect stub, and the deploy hook is only called when
+# the live feed lists different stories.
+
+FIXTURES_DIR="$ROOT_DIR/scripts/check/fixtures/stories"
+MEDIA_SCRIPT="$ROOT_DIR/.github/workflows/scripts/media.js"
+
+if ! command -v node >/dev/null 2>&1; then
+  echo "node is required for the media stories check"
+  exit 1
+fi
+
+has_errors=0
+
+for payload in "$FIXTURES_DIR"/*.json; do
+  name="$(basename "$payload" .json)"
+  work_dir="$(mktemp -d)"
+  mkdir -p "$work_dir/_stories"
+
+  set +e
+  output="$(cd "$work_dir" && PAYLOAD_FILE="$payload" node "$MEDIA_SCRIPT" 2>&1)"
+  status=$?
+  set -e
+
+  if [[ "$name" == invalid-* ]]; then
+    expected_error="$(cat "$FIXTURES_DIR/$name.txt")"
+    if [[ "$status" -eq 0 ]]; then
+      echo "[$name] was accepted but should have been rejected"
+      has_errors=1
+    elif [[ "$output" != *"$expected_error"* ]]; then
+      echo "[$name] error did not mention: $expected_error"
+      echo "$output"
+      has_errors=1
+    elif [[ -e "$work_dir/_data/stories.json" ]] || [[ -n "$(ls -A "$work_dir/_stories")" ]]; then
+      echo "[$name] wrote files although the payload was rejected"
+      has_errors=1
+    fi
+  elif [[ "$status" -ne 0 ]]; then
+    echo "[$name] media.js failed:"
+    echo "$output"
+    has_errors=1
+  else
+    id="$(node -e 'const { filedata } = require(process.argv[1]); console.log(filedata.id || filedata.uid)' "$payload")"
+    story="$work_dir/_stories/$id.md"
+
+    if [[ ! -f "$story" ]]; then
+      echo "[$name] did not write _stories/$id.md"
+      has_errors=1
+    elif ! diff -u "$FIXTURES_DIR/$name.md" "$story"; then
+      echo "[$name] story differs from $name.md"
+      has_errors=1
+    fi
+
+    if ! node -e 'const stories = require(process.argv[1]); process.exit(stories.length === 1 && stories[0].id === process.argv[2] ? 0 : 1)' "$work_dir/_data/stories.json" "$id"; then
+      echo "[$name] _data/stories.json does not hold exactly the uploaded story"
+      has_errors=1
+    fi
+  fi
+
+  rm -rf "$work_dir"
+done
+
+if ! node --input-type=module - <<'NODE'
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+const root = process.cwd();
+const load = file => import(pathToFileURL(path.join(root, file)));
+
+const { createFakeGitHub } = await load("scripts/check/lib/fake-github.js");
+const { createGitHubClientFromEnv } = await load("api/_lib/github.js");
+const { expireStories, liveFeedIds } = await load("api/_lib/stories.js");
+
+const stories = JSON.parse(fs.readFileSync("scripts/check/fixtures/stories-archive/stories.json", "utf8"));
+const byId = id => stories.find(story => story.id === id);
+const page = id => `---\nlayout: story\ntitle: Story\n---\n\n${id}\n`;
+
+// 2025-11-02 14:00 in Shanghai: only "fresh" is younger than 24 hours
+const now = new Date("2025-11-02T06:00:00.000Z");
+const FEED_URL = "https://site.bazinga.ink/stories.json";
+const DEPLOY_HOOK_URL = "https://api.vercel.com/v1/integrations/deploy/hook";
+const REF_UPDATE = /^\/git\/refs\/heads\//;
+
+process.env.GITHUB_TOKEN = "test-token";
+process.env.GITHUB_REPO = "owner/site";
+console.warn = () => {};
+
+const failures = [];
+
+async function check(name, run) {
+  try {
+    await run();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failures.push(name);
+    console.log(`not ok - ${name}`);
+    console.log(`  ${error.message.split("\n").join("\n  ")}`);
+  }
+}
+
+// The live feed answers with `deployedIds` (or fails when it is null); deploy hook calls are recorded
+function setup(files, deployedIds) {
+  const github = createFakeGitHub(files);
+  const hookCalls = [];
+  const fetch = async (url, options = {}) => {
+    if (url === FEED_URL) {
+      return deployedIds
+        ? new Response(JSON.stringify({ items: deployedIds.map(id => ({ id })) }), { status: 200 })
+        : new Response("Service Unavailable", { status: 503 });
+    }
+    if (url === DEPLOY_HOOK_URL) {
+      hookCalls.push(options.method);
+      return new Response("{}", { status: 201 });
+    }
+    return github.fetch(url, options);
+  };
+  const client = createGitHubClientFromEnv(process.env, { fetch });
+  const run = (options = {}) => expireStories(client, { now, fetch, feedUrl: FEED_URL, deployHookUrl: DEPLOY_HOOK_URL, ...options });
+  return { github, hookCalls, run };
+}
+
+const repository = () => ({
+  "_data/stories.json": JSON.stringify(stories),
+  "_stories/highlight-old.md": page("highlight-old"),
+  "_stories/late-october.md": page("late-october"),
+  "_stories/fresh.md": page("fresh")
+});
+
+await check("expired highlights stay in stories.json with their pages", async () => {
+  const { github, run } = setup(repository(), ["fresh"]);
+  const result = await run();
+  assert.equal(result.rebuild, "commit");
+  assert.deepEqual(JSON.parse(github.file("_data/stories.json")).map(story => story.id), ["highlight-old", "fresh"]);
+  assert.ok(github.file("_stories/highlight-old.md"));
+  assert.equal(github.file("redirects/stories/highlight-old.html"), null);
+});
+
+await check("archives are split by upload month in the site time zone", async () => {
+  const { github, run } = setup(repository(), ["fresh"]);
+  const result = await run();
+  // late-october was uploaded at 17:30 UTC on 31 October, already 1 November in Shanghai
+  assert.deepEqual(result.archived, [
+    { id: "mid-october", archive: "_data/stories_archive/2025-10.json" },
+    { id: "late-october", archive: "_data/stories_archive/2025-11.json" }
+  ]);
+  assert.deepEqual(JSON.parse(github.file("_data/stories_archive/2025-11.json")), [byId("late-october")]);
+  assert.deepEqual(JSON.parse(github.file("_data/stories_archive/2025-10.json")), [byId("mid-october")]);
+});
+
+await check("archived story pages are replaced with redirect stubs", async () => {
+  const { github, run } = setup(repository(), ["fresh"]);
+  await run();
+  assert.equal(github.file("_stories/late-october.md"), null);
+  assert.equal(
+    github.file("redirects/stories/late-october.html"),
+    "---\nlayout: redirect\npermalink: \"/stories/late-october\"\nredirect_to: \"/\"\nsitemap: false\n---\n"
+  );
+  // mid-october never had a page, so there is nothing to redirect
+  assert.equal(github.file("redirects/stories/mid-october.html"), null);
+});
+
+await check("a retried archive keeps one copy of each story", async () => {
+  const stale = { ...byId("late-october"), meta: { ...byId("late-october").meta, caption: "stale copy" } };
+  const other = { id: "early-november", uploaded: "2025-11-01T02:00:00.000Z", meta: { tags: ["Travel"] } };
+  const { github, run } = setup({ ...repository(), "_data/stories_archive/2025-11.json": JSON.stringify([stale, other]) }, ["fresh"]);
+
+  github.fail("PATCH", REF_UPDATE, 422, { message: "Update is not a fast forward" });
+  await run();
+  assert.deepEqual(JSON.parse(github.file("_data/stories_archive/2025-11.json")), [byId("late-october"), other]);
+  assert.equal(github.messages().filter(message => message === "chore: Archive expired stories").length, 1);
+});
+
+await check("the deploy hook is called only when the live feed lists other stories", async () => {
+  const archived = stories.filter(story => ["highlight-old", "fresh"].includes(story.id));
+  const files = { "_data/stories.json": JSON.stringify(archived) };
+  assert.deepEqual(liveFeedIds(archived, now), ["fresh"]);
+
+  const current = setup(files, ["fresh"]);
+  assert.equal((await current.run()).rebuild, null);
+  assert.deepEqual(current.hookCalls, []);
+
+  // highlight-old has expired but the deployed feed still lists it
+  const stale = setup(files, ["fresh", "highlight-old"]);
+  const result = await stale.run();
+  assert.equal(result.rebuild, "deploy-hook");
+  assert.equal(result.commit, null);
+  assert.deepEqual(stale.hookCalls, ["POST"]);
+
+  const unconfigured = setup(files, ["fresh", "highlight-old"]);
+  assert.equal((await unconfigured.run({ deployHookUrl: undefined })).rebuild, "not-configured");
+  assert.deepEqual(unconfigured.hookCalls, []);
+
+  const unreachable = setup(files, null);
+  assert.equal((await unreachable.run()).rebuild, "unknown");
+  assert.deepEqual(unreachable.hookCalls, []);
+});
+
+process.exit(failures.length > 0 ? 1 : 0);
+NODE
+then
+  has_errors=1
+fi
+
+if [[ "$has_errors" -eq 1 ]]; then
+  echo "Media stories check failed."
+  exit 1
+fi
+
+echo "Media stories check passed."
@@ -0,0 +1,55 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/../.." && pwd)"
+cd "$ROOT_DIR"
+
+# Run scripts/notes/migrate-note-filenames.sh in a scratch git checkout holding
+# scripts/check/fixtures/_notes-migration/before/ and compare the result with
+# after/, byte for byte: the old notes are renamed after their minute (taking
+# `-2` and `-3` next to a note already named so), only `title`, `date` and
+# `location: null` change in their front matter, and each old URL gets a
+# redirect stub in redirects/notes/. A dry run must not touch any file.
+#
+# The fixture directory starts with `_` so Jekyll does not publish the redirect
+# stubs in it.
+
+FIXTURES_DIR="$ROOT_DIR/scripts/check/fixtures/_notes-migration"
+MIGRATE_SCRIPT="$ROOT_DIR/scripts/notes/migrate-note-filenames.sh"
+
+if ! command -v node >/dev/null 2>&1; then
+  echo "node is required for the note migration check"
+  exit 1
+fi
+
+has_errors=0
+work_dir="$(mktemp -d)"
+trap 'rm -rf "$work_dir"' EXIT
+
+cp -R "$FIXTURES_DIR/before/." "$work_dir"
+git -C "$work_dir" init -q
+
+if ! output="$(cd "$work_dir" && bash "$MIGRATE_SCRIPT" --dry-run 2>&1)"; then
+  echo "[dry run] migrate-note-filenames.sh failed:"
+  echo "$output"
+  has_errors=1
+elif ! diff -ru -x .git "$FIXTURES_DIR/before" "$work_dir"; then
+  echo "[dry run] changed files"
+  has_errors=1
+fi
+
+if ! output="$(cd "$work_dir" && bash "$MIGRATE_SCRIPT" 2>&1)"; then
+  echo "[migrate] migrate-note-filenames.sh failed:"
+  echo "$output"
+  has_errors=1
+elif ! diff -ru -x .git "$FIXTURES_DIR/after" "$work_dir"; then
+  echo "[migrate] result differs from after/"
+  has_errors=1
+fi
+
+if [[ "$has_errors" -ne 0 ]]; then
+  echo "Note migration check failed."
+  exit 1
+fi
+
+echo "Note migration check passed."
@@ -0,0 +1,139 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/../.." && pwd)"
+cd "$ROOT_DIR"
+
+# Run the photo pipeline in api/_lib/images.js on the fixture photos in
+# scripts/check/fixtures/photos/ and decode what it writes: one variant per
+# width and format, each the width its filename says, turned upright, and none
+# of them carrying EXIF or GPS. The shooting details and the city read from the
+# EXIF before it is stripped must end up in the photo's meta, without the
+# coordinates.
+
+if ! command -v node >/dev/null 2>&1; then
+  echo "node is required for the photos check"
+  exit 1
+fi
+
+node --input-type=module - <<'NODE'
+import assert from "assert/strict";
+import { readFile } from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import exifr from "exifr";
+import sharp from "sharp";
+
+const root = process.cwd();
+const load = file => import(pathToFileURL(path.join(root, file)));
+
+const { VARIANT_WIDTHS, VARIANT_FORMATS, normalizeImage, processImage } = await load("api/_lib/images.js");
+const { readPhotoMetadata } = await load("api/_lib/exif.js");
+const { preparePhoto } = await load("api/_lib/photos.js");
+
+// 1200×2400 stored with orientation 6 (shown as 2400×1200), shot in Shanghai
+const shanghai = await readFile(path.join(root, "scripts/check/fixtures/photos/shanghai.jpg"));
+const failures = [];
+
+async function check(name, run) {
+  try {
+    await run();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failures.push(name);
+    console.log(`not ok - ${name}`);
+    console.log(`  ${error.message.split("\n").join("\n  ")}`);
+  }
+}
+
+// exifr answers undefined when there is no EXIF block at all
+async function assertNoMetadata(file) {
+  const metadata = await sharp(file.content).metadata();
+  assert.equal(metadata.exif, undefined, `${file.path} still has EXIF`);
+  assert.equal(await exifr.gps(file.content).catch(() => undefined), undefined, `${file.path} still has GPS`);
+}
+
+const processed = await processImage(shanghai, { basePath: "images/photos/2025-09-04-shanghai", extension: "jpeg" });
+
+await check("a photo gets every variant width in AVIF, WebP and its own format", async () => {
+  const formats = [...VARIANT_FORMATS, "jpg"];
+  assert.deepEqual(processed.variants, [
+    "/images/photos/2025-09-04-shanghai.jpg",
+    ...VARIANT_WIDTHS.flatMap(width => formats.map(format => `/images/photos/2025-09-04-shanghai@${width}w.${format}`))
+  ]);
+
+  for (const file of processed.files.slice(1)) {
+    const [, width, format] = /@(\d+)w\.(\w+)$/.exec(file.path);
+    const metadata = await sharp(file.content).metadata();
+    assert.equal(metadata.width, Number(width), file.path);
+    assert.equal(metadata.format === "heif" ? "avif" : metadata.format.replace("jpeg", "jpg"), format, file.path);
+  }
+});
+
+await check("the photo is turned upright before its size is recorded", async () => {
+  assert.deepEqual(processed.dimensions, { width: 2400, height: 1200 });
+  assert.equal(processed.ratio, 2);
+  const original = await sharp(processed.files[0].content).metadata();
+  assert.deepEqual([original.width, original.height], [2400, 1200]);
+});
+
+await check("no committed photo file keeps EXIF or GPS", async () => {
+  assert.ok(await exifr.gps(shanghai), "the fixture must carry GPS for this check to mean anything");
+  for (const file of processed.files) {
+    await assertNoMetadata(file);
+  }
+});
+
+await check("a photo narrower than every variant width gets one variant at its own width", async () => {
+  const small = await sharp({ create: { width: 320, height: 240, channels: 3, background: "#963" } }).png().toBuffer();
+  const result = await processImage(small, { basePath: "images/photos/small", extension: "png" });
+  assert.deepEqual(result.variants, [
+    "/images/photos/small.png",
+    "/images/photos/small@320w.avif",
+    "/images/photos/small@320w.webp",
+    "/images/photos/small@320w.png"
+  ]);
+});
+
+await check("note images are scaled down and stripped too", async () => {
+  const result = await normalizeImage(shanghai, { extension: "jpeg", maxWidth: 1600 });
+  assert.deepEqual(result.dimensions, { width: 1600, height: 800 });
+  await assertNoMetadata({ path: "note image", content: result.content });
+});
+
+await check("the capture time, camera and city are read from the EXIF", async () => {
+  assert.deepEqual(await readPhotoMetadata(shanghai), {
+    exif: { takenAt: "2025-09-04T10:35:12+08:00", camera: "FUJIFILM X100V", focalLength: 23, aperture: 2 },
+    location: "Shanghai"
+  });
+});
+
+await check("the photo entry gets the EXIF details and city but not the coordinates", async () => {
+  const uploaded = "2025-10-30T00:15:00Z";
+  const { photoData } = await preparePhoto({
+    imageBuffer: shanghai,
+    imageType: "jpeg",
+    filename: "shanghai.jpg",
+    photoData: { uploaded, meta: { alt: "Bund" } }
+  });
+  assert.equal(photoData.taken, "2025-09-04T02:35:12.000Z");
+  assert.equal(photoData.meta.location, "Shanghai");
+  assert.equal(photoData.meta.exif.camera, "FUJIFILM X100V");
+  assert.doesNotMatch(JSON.stringify(photoData), /31\.23|121\.46|latitude|longitude/);
+
+  // A typed-in location wins, and a photo without EXIF is dated by its upload
+  const typed = await preparePhoto({ imageBuffer: shanghai, imageType: "jpeg", filename: "a.jpg", photoData: { uploaded, meta: { alt: "a", location: "Home" } } });
+  assert.equal(typed.photoData.meta.location, "Home");
+  const plain = await sharp({ create: { width: 320, height: 240, channels: 3, background: "#396" } }).jpeg().toBuffer();
+  assert.deepEqual(await readPhotoMetadata(plain), { exif: null, location: null });
+  const undated = await preparePhoto({ imageBuffer: plain, imageType: "jpeg", filename: "b.jpg", photoData: { uploaded, meta: { alt: "b" } } });
+  assert.equal(undated.photoData.taken, "2025-10-30T00:15:00.000Z");
+  assert.equal(undated.photoData.meta.exif, undefined);
+});
+
+if (failures.length > 0) {
+  console.log(`Photos check failed (${failures.length}).`);
+  process.exit(1);
+}
+console.log("Photos check passed.");
+NODE
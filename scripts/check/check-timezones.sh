@@ -0,0 +1,125 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/../.." && pwd)"
+cd "$ROOT_DIR"
+
+# Dates written by the API and the workflow scripts must depend only on
+# `timezone` in _config.yml, never on the TZ of the machine running them.
+declare -a HOST_TIME_ZONES=(
+  "UTC"
+  "Asia/Shanghai"
+  "America/Los_Angeles"
+  "Europe/London"
+  "Asia/Kathmandu"
+  "Pacific/Kiritimati"
+)
+
+if ! command -v node >/dev/null 2>&1; then
+  echo "node is required for the timezone check"
+  exit 1
+fi
+
+has_errors=0
+
+for host_tz in "${HOST_TIME_ZONES[@]}"; do
+  work_dir="$(mktemp -d)"
+
+  if ! TZ="$host_tz" WORK_DIR="$work_dir" node --input-type=module - <<'NODE'
+import assert from "assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+const root = process.cwd();
+const load = file => import(pathToFileURL(path.join(root, file)));
+
+const timezone = await load("api/_lib/timezone.js");
+const { noteIdentifiers } = await load("api/_lib/notes.js");
+const { buildPublishInfo } = await load("api/_lib/posts.js");
+const { parseScheduleDate } = await load("api/_lib/schedule.js");
+
+assert.equal(timezone.SITE_TIME_ZONE, "Asia/Shanghai");
+
+// 16:30 UTC is already the next day in Shanghai
+const instant = new Date("2025-10-29T16:30:00Z");
+assert.equal(timezone.formatSiteDateTime(instant), "2025/10/30 00:30");
+assert.equal(timezone.formatSiteDay(instant), "2025-10-30");
+assert.equal(timezone.formatSiteIso(instant), "2025-10-30T00:30:00+08:00");
+
+assert.equal(timezone.parseSiteDateTime("2025/10/30 00:30").toISOString(), instant.toISOString());
+assert.equal(timezone.parseSiteDateTime("2025-10-30 00:30:00").toISOString(), instant.toISOString());
+assert.equal(timezone.parseSiteDateTime("2025-10-29T18:30+02:00").toISOString(), instant.toISOString());
+assert.equal(timezone.parseSiteDateTime("2025-10-29 16:30Z").toISOString(), instant.toISOString());
+assert.equal(timezone.parseSiteDateTime("yesterday"), null);
+assert.equal(timezone.fromSiteTime({ year: 2025, month: 2, day: 30, hour: 9, minute: 0 }), null);
+
+// Zones with daylight saving time and odd offsets
+assert.equal(timezone.formatSiteIso(new Date("2025-07-01T12:00:00Z"), "America/New_York"), "2025-07-01T08:00:00-04:00");
+assert.equal(timezone.formatSiteIso(new Date("2025-01-01T12:00:00Z"), "America/New_York"), "2025-01-01T07:00:00-05:00");
+assert.equal(timezone.formatSiteIso(new Date("2025-01-01T00:00:00Z"), "Asia/Kathmandu"), "2025-01-01T05:45:00+05:45");
+assert.equal(timezone.fromSiteTime({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, "America/New_York"), null);
+assert.equal(
+  timezone.fromSiteTime({ year: 2025, month: 11, day: 2, hour: 12, minute: 0 }, "America/New_York").toISOString(),
+  "2025-11-02T17:00:00.000Z"
+);
+
+assert.equal(noteIdentifiers(instant).filenameBase, "note-2025-10-30-0030");
+assert.equal(noteIdentifiers(instant).date, "2025/10/30 00:30");
+
+assert.deepEqual(buildPublishInfo(undefined, instant), {
+  frontMatter: "2025/10/30 00:30",
+  filenameBase: "2025-10-30-0030-post",
+  iso: "2025-10-30T00:30:00+08:00"
+});
+assert.equal(buildPublishInfo("2025/10/30 00:30").iso, "2025-10-30T00:30:00+08:00");
+assert.equal(parseScheduleDate("2025/10/30 00:30").toISOString(), instant.toISOString());
+
+// Workflow scripts run on whatever TZ the runner has
+const workDir = process.env.WORK_DIR;
+fs.mkdirSync(path.join(workDir, "_notes"));
+fs.mkdirSync(path.join(workDir, "_stories"));
+
+const runScript = (script, inputs) => {
+  const result = spawnSync(process.execPath, [path.join(root, script)], {
+    cwd: workDir,
+    encoding: "utf8",
+    env: { ...process.env, ...inputs }
+  });
+  assert.equal(result.status, 0, `${script} failed: ${result.stderr}`);
+};
+
+runScript(".github/workflows/scripts/notes.js", {
+  NOTE_DATETIME: "2025-10-30 00:30",
+  NOTE_TAGS: "Life",
+  NOTE_LANG: "zh-CN",
+  NOTE_CONTENT: "Hello"
+});
+assert.match(fs.readFileSync(path.join(workDir, "_notes/note-2025-10-30-0030.md"), "utf8"), /^date: 2025\/10\/30 00:30$/m);
+
+runScript(".github/workflows/scripts/media.js", {
+  MEDIA_FILEPATH: "_data/stories.json",
+  MEDIA_FILEDATA: JSON.stringify({
+    id: "story-1",
+    uploaded: instant.toISOString(),
+    variants: ["https://imagedelivery.net/hash/story-1/public"],
+    meta: { alt: "A cat", caption: "", tags: ["Meow"] }
+  })
+});
+assert.match(fs.readFileSync(path.join(workDir, "_stories/story-1.md"), "utf8"), /^date: 2025\/10\/30 00:30$/m);
+NODE
+  then
+    echo "Timezone check failed with TZ=$host_tz"
+    has_errors=1
+  fi
+
+  rm -rf "$work_dir"
+done
+
+if [[ "$has_errors" -eq 1 ]]; then
+  echo "Timezone check failed."
+  exit 1
+fi
+
+echo "Timezone check passed."
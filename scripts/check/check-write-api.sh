@@ -0,0 +1,887 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/../.." && pwd)"
+cd "$ROOT_DIR"
+
+# Drive the write API handlers against the in-memory GitHub in
+# scripts/check/lib/fake-github.js: commit through the GitHub client directly
+# (all files or none, retries, configured committer), create notes and posts,
+# name notes written in the same minute (and their images), retry after a
+# rejected ref update, keep every photo when uploads race on _data/photos.json,
+# stop passkeys and sessions whose access key is revoked, and map GitHub and
+# request errors to the right HTTP status.
+
+if ! command -v node >/dev/null 2>&1; then
+  echo "node is required for the write API check"
+  exit 1
+fi
+
+node --input-type=module - <<'NODE'
+import assert from "assert/strict";
+import path from "path";
+import { Readable } from "stream";
+import { pathToFileURL } from "url";
+
+const root = process.cwd();
+const load = file => import(pathToFileURL(path.join(root, file)));
+
+const { createFakeGitHub, createResponse } = await load("scripts/check/lib/fake-github.js");
+const { createFakeAuthenticator } = await load("scripts/check/lib/fake-authenticator.js");
+const { createGitHubClient, createGitHubClientFromEnv } = await load("api/_lib/github.js");
+const { hashToken } = await load("api/_lib/access.js");
+const { createMemoryStore } = await load("api/_lib/store.js");
+const { createNoteHandler } = await load("api/create-note.js");
+const { updateNoteHandler } = await load("api/update-note.js");
+const { deleteNoteHandler } = await load("api/delete-note.js");
+const { createPostHandler } = await load("api/create-post.js");
+const { updatePostHandler } = await load("api/update-post.js");
+const { createPhotoHandler } = await load("api/upload-photo.js");
+const { photoBatchHandler } = await load("api/photo-batch.js");
+const { updatePhotoHandler } = await load("api/update-photo.js");
+const { deletePhotoHandler } = await load("api/delete-photo.js");
+const { scheduleHandler } = await load("api/schedule.js");
+const { draftsHandler } = await load("api/drafts.js");
+const { passkeyRegisterHandler } = await load("api/passkey-register.js");
+const { passkeyLoginHandler } = await load("api/passkey-login.js");
+const { default: sessionHandler } = await load("api/session.js");
+const { formatSiteDateTime, formatSiteDay } = await load("api/_lib/timezone.js");
+const { default: sharp } = await import("sharp");
+
+const TOKENS = [
+  { name: "notes-device", hash: hashToken("notes-key"), scopes: ["notes"] },
+  { name: "posts-device", hash: hashToken("posts-key"), scopes: ["posts"] },
+  { name: "photos-device", hash: hashToken("photos-key"), scopes: ["photos"] }
+];
+
+Object.assign(process.env, {
+  GITHUB_TOKEN: "test-token",
+  GITHUB_REPO: "owner/site",
+  WRITE_TOKENS: JSON.stringify(TOKENS)
+});
+delete process.env.WRITE_ACCESS_KEY;
+delete process.env.SESSION_SECRET;
+
+// The handlers log every failure; the cases below provoke plenty on purpose
+console.error = () => {};
+
+const REF_UPDATE = /^\/git\/refs\/heads\//;
+const failures = [];
+
+async function check(name, run) {
+  try {
+    await run();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failures.push(name);
+    console.log(`not ok - ${name}`);
+    console.log(`  ${error.message.split("\n").join("\n  ")}`);
+  }
+}
+
+async function call(handler, { method = "POST", key, body, headers = {} } = {}) {
+  const res = createResponse();
+  await handler({
+    method,
+    url: "/api/test",
+    headers: { "content-type": "application/json", ...(key ? { "x-access-key": key } : {}), ...headers },
+    body
+  }, res);
+  return res;
+}
+
+function setup(files = {}) {
+  const github = createFakeGitHub(files);
+  const store = createMemoryStore();
+  return {
+    github,
+    note: createNoteHandler({ fetch: github.fetch, store }),
+    updateNote: updateNoteHandler({ fetch: github.fetch, store }),
+    deleteNote: deleteNoteHandler({ fetch: github.fetch, store }),
+    post: createPostHandler({ fetch: github.fetch, store }),
+    updatePost: updatePostHandler({ fetch: github.fetch, store }),
+    photo: createPhotoHandler({ fetch: github.fetch, store }),
+    batch: photoBatchHandler({ fetch: github.fetch, store }),
+    updatePhoto: updatePhotoHandler({ fetch: github.fetch, store }),
+    deletePhoto: deletePhotoHandler({ fetch: github.fetch, store }),
+    schedule: scheduleHandler({ fetch: github.fetch, store }),
+    drafts: draftsHandler({ fetch: github.fetch, store }),
+    register: passkeyRegisterHandler({ fetch: github.fetch, store }),
+    login: passkeyLoginHandler({ fetch: github.fetch, store })
+  };
+}
+
+const note = (overrides = {}) => ({ content: "Hello", tags: ["Life"], date: "2025/10/30 08:15", ...overrides });
+
+await check("create-note commits the note", async () => {
+  const { github, note: handler } = setup();
+  const res = await call(handler, { key: "notes-key", body: note() });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.equal(res.body.url, "/notes/note-2025-10-30-0815");
+  assert.match(github.file("_notes/note-2025-10-30-0815.md"), /^---\ntitle: "?202510300815"?\n[\s\S]*\n---\n\nHello\n$/);
+  assert.equal(github.messages()[0], "feat: Add note note-2025-10-30-0815");
+});
+
+await check("a note's location, coordinates and time zone are committed, and its date is in site time", async () => {
+  const { github, note: handler, updateNote } = setup();
+  const res = await call(handler, {
+    key: "notes-key",
+    body: note({ location: "  West  Lake ", latitude: "30.2590712", longitude: 120.1483, timezone: "America/New_York", lang: "en-US" })
+  });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  const path = "_notes/note-2025-10-30-0815.md";
+  assert.equal(github.file(path), [
+    "---",
+    "title: \"202510300815\"",
+    "layout: default",
+    "open_heart: true",
+    "date: 2025/10/30 08:15",
+    "location: West Lake",
+    "latitude: 30.2591",
+    "longitude: 120.1483",
+    "timezone: America/New_York",
+    "tags: [\"Life\"]",
+    "lang: en-US",
+    "---",
+    "",
+    "Hello",
+    ""
+  ].join("\n"));
+
+  // Editing the text keeps the place
+  assert.equal((await call(updateNote, { method: "PATCH", key: "notes-key", body: { note: path, content: "Edited" } })).statusCode, 200);
+  assert.match(github.file(path), /\nlocation: West Lake\nlatitude: 30\.2591\nlongitude: 120\.1483\ntimezone: America\/New_York\n[\s\S]*\n\nEdited\n$/);
+
+  // Coordinates alone are named after the nearest city; without a date the note is dated now, in site time
+  const before = formatSiteDateTime(new Date());
+  const located = await call(handler, { key: "notes-key", body: note({ date: undefined, latitude: 31.2304, longitude: 121.4737, timezone: "Asia/Tokyo" }) });
+  const after = formatSiteDateTime(new Date());
+  assert.equal(located.statusCode, 200, JSON.stringify(located.body));
+  const written = github.file(`_notes/${located.body.filename}`);
+  assert.match(written, /\nlocation: Shanghai\nlatitude: 31\.2304\nlongitude: 121\.4737\ntimezone: Asia\/Tokyo\n/);
+  const date = /\ndate: (.+)\n/.exec(written)[1];
+  assert.ok([before, after].includes(date), `${date} is not the site time ${before}`);
+  assert.equal(located.body.filename.slice(5, 20), date.replace(/\//g, "-").replace(" ", "-").replace(":", ""));
+
+  for (const place of [{ latitude: 91, longitude: 0 }, { latitude: 30 }, { timezone: "Mars/Olympus" }, { location: "<script>" }]) {
+    assert.equal((await call(handler, { key: "notes-key", body: note(place) })).statusCode, 400, JSON.stringify(place));
+  }
+});
+
+await check("create-post commits the post", async () => {
+  const { github, post: handler } = setup();
+  const res = await call(handler, { key: "posts-key", body: { title: "Hello", body: "World", slug: "hello", date: "2025/10/30 08:15" } });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  const posts = Object.keys(github.files()).filter(file => file.startsWith("_posts/"));
+  assert.deepEqual(posts, ["_posts/2025-10-30-0815-post-hello.md"]);
+});
+
+await check("revising a post keeps its layout, open_heart and date as they were", async () => {
+  const posts = {
+    "_posts/2025-10-11-online-glasses-guide.md": "---\ntitle: \"网上配镜指南\"\ndate: 2025-10-11\nlayout: default\ntags: [眼镜, 生活]\nfeature: 1\n---\n\nBody\n",
+    "_posts/2025-10-12-0900-post-wide.md": "---\ntitle: Wide\nlayout: wide\nopen_heart: false\ndate: 2025/10/12 09:00\n---\n\nBody\n"
+  };
+  const { github, updatePost } = setup(posts);
+
+  for (const filename of Object.keys(posts).map(file => file.split("/").pop())) {
+    const read = createResponse();
+    await updatePost({ method: "GET", url: "/api/update-post", headers: { "x-access-key": "posts-key" }, query: { filename } }, read);
+    assert.equal(read.statusCode, 200, JSON.stringify(read.body));
+
+    const res = await call(updatePost, { method: "PATCH", key: "posts-key", body: { filename, ...read.body.post, body: "Edited" } });
+    assert.equal(res.statusCode, 200, `${filename}: ${JSON.stringify(res.body)}`);
+  }
+
+  const glasses = github.file("_posts/2025-10-11-online-glasses-guide.md");
+  assert.match(glasses, /\nlayout: default\n/);
+  assert.doesNotMatch(glasses, /open_heart/);
+  assert.match(glasses, /\ndate: "?2025-10-11"?\n/);
+  assert.match(glasses, /\ntags: \[眼镜, 生活\]\n[\s\S]*\n\nEdited\n$/);
+
+  const wide = github.file("_posts/2025-10-12-0900-post-wide.md");
+  assert.match(wide, /\nlayout: wide\nopen_heart: false\ndate: 2025\/10\/12 09:00\n/);
+
+  const changed = await call(updatePost, { method: "PATCH", key: "posts-key", body: { filename: "2025-10-12-0900-post-wide.md", date: "2025-10-13" } });
+  assert.equal(changed.statusCode, 400);
+});
+
+await check("notes written in the same minute get -2 and -3", async () => {
+  const { github, note: handler } = setup();
+  const urls = [];
+  for (const content of ["one", "two", "three"]) {
+    const res = await call(handler, { key: "notes-key", body: note({ content }) });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    urls.push(res.body.url);
+  }
+  assert.deepEqual(urls, ["/notes/note-2025-10-30-0815", "/notes/note-2025-10-30-0815-2", "/notes/note-2025-10-30-0815-3"]);
+  assert.match(github.file("_notes/note-2025-10-30-0815-2.md"), /\ntwo\n$/);
+});
+
+await check("images of a note renamed to -2 are named after it and deleted with it", async () => {
+  const { github, note: handler, deleteNote, schedule } = setup();
+  const image = await sharp({ create: { width: 320, height: 240, channels: 3, background: "#369" } }).jpeg().toBuffer();
+  const images = [{ data: `data:image/jpeg;base64,${image.toString("base64")}`, alt: "Sky" }];
+
+  // Same minute, same picture: each note must get its own copy
+  const first = await call(handler, { key: "notes-key", body: note({ images }) });
+  const second = await call(handler, { key: "notes-key", body: note({ images }) });
+  assert.equal(second.body.filename, "note-2025-10-30-0815-2.md");
+  assert.match(second.body.images[0], /^\/images\/notes\/note-2025-10-30-0815-2-[0-9a-f]{8}\.jpg$/);
+  assert.ok(github.file(second.body.images[0].slice(1)));
+  assert.ok(github.file("_notes/note-2025-10-30-0815-2.md").includes(`](${second.body.images[0]})`));
+
+  const deleted = await call(deleteNote, { method: "DELETE", key: "notes-key", body: { note: "note-2025-10-30-0815-2.md" } });
+  assert.deepEqual(deleted.body.images, second.body.images, JSON.stringify(deleted.body));
+  assert.equal(github.file(second.body.images[0].slice(1)), null);
+  assert.ok(github.file(first.body.images[0].slice(1)), "the first note's image is kept");
+
+  // A queued note that lands on a taken minute moves the images committed at enqueue time
+  const queuedImage = "images/notes/note-2025-10-31-0900-0123abcd.jpg";
+  github.push({
+    "_notes/note-2025-10-31-0900.md": "---\ntitle: 202510310900\ndate: 2025/10/31 09:00\ntags: [Life]\n---\n\nTaken\n",
+    [queuedImage]: image,
+    "_scheduled/queue.json": JSON.stringify([{
+      id: "job-1",
+      type: "note",
+      publishAt: "2025-10-31T01:00:00.000Z",
+      path: "_notes/note-2025-10-31-0900.md",
+      content: `---\ntitle: 202510310900\ndate: 2025/10/31 09:00\ntags: [Life]\n---\n\nQueued\n\n![Sky](/${queuedImage})\n`,
+      url: "/notes/note-2025-10-31-0900"
+    }])
+  });
+  const published = await call(schedule, { key: "notes-key" });
+  assert.equal(published.body.published[0].path, "_notes/note-2025-10-31-0900-2.md");
+  const movedImage = "images/notes/note-2025-10-31-0900-2-0123abcd.jpg";
+  assert.equal(github.file(queuedImage), null);
+  assert.ok(github.file(movedImage));
+  assert.ok(github.file("_notes/note-2025-10-31-0900-2.md").includes(`](/${movedImage})`));
+});
+
+await check("a rejected ref update (422) is retried on the new head", async () => {
+  const { github, note: handler } = setup();
+  github.fail("PATCH", REF_UPDATE, 422, { message: "Update is not a fast forward" });
+  const res = await call(handler, { key: "notes-key", body: note() });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.equal(github.calls.filter(call => REF_UPDATE.test(call.split(" ")[1])).length, 2);
+  assert.ok(github.file("_notes/note-2025-10-30-0815.md"));
+});
+
+await check("a note committed by someone else mid-request is kept, and ours is renamed", async () => {
+  const { github, note: handler } = setup();
+  github.beforeNextRefUpdate(() => github.push({ "_notes/note-2025-10-30-0815.md": "other writer" }));
+  const res = await call(handler, { key: "notes-key", body: note() });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.equal(res.body.url, "/notes/note-2025-10-30-0815-2");
+  assert.equal(github.file("_notes/note-2025-10-30-0815.md"), "other writer");
+});
+
+const client = (github, options = {}) => createGitHubClient({ token: "t", repo: "owner/site", fetch: github.fetch, sleep: async () => {}, ...options });
+
+await check("the GitHub client reads missing files as null and missing directories as empty", async () => {
+  const github = createFakeGitHub({ "_notes/a.md": "A" });
+  const gh = client(github);
+  assert.equal(await gh.getFile("_notes/missing.md"), null);
+  assert.deepEqual(await gh.listDirectory("images/notes"), []);
+  assert.equal((await gh.getFile("_notes/a.md")).content.toString(), "A");
+  assert.deepEqual((await gh.listDirectory("_notes")).map(entry => entry.name), ["a.md"]);
+});
+
+await check("the GitHub client never overwrites an existing file on create", async () => {
+  const github = createFakeGitHub({ "_notes/a.md": "A" });
+  const created = await client(github).createFile({ path: "_notes/a.md", content: "B", message: "add" });
+  assert.match(created.path, /^_notes\/a-\d{6}\.md$/);
+  assert.equal(github.file("_notes/a.md"), "A");
+  assert.equal(github.file(created.path), "B");
+});
+
+await check("commitFiles writes and deletes several files in one commit, or leaves the branch alone", async () => {
+  const github = createFakeGitHub({ "old.md": "old" });
+  const gh = client(github);
+  await gh.commitFiles({ message: "batch", files: [{ path: "a.md", content: "a" }, { path: "b.bin", content: Buffer.from([1, 2]) }, { path: "old.md", content: null }] });
+  assert.deepEqual(github.files(), { "a.md": "a", "b.bin": "\u0001\u0002" });
+  assert.deepEqual(github.messages(), ["batch"]);
+
+  // The second blob fails: nothing from the first may reach the branch
+  const before = github.head;
+  let blobs = 0;
+  const failing = client(github, {
+    fetch: (url, init) => /\/git\/blobs$/.test(url) && (blobs += 1) === 2
+      ? { ok: false, status: 500, json: async () => ({ message: "Server Error" }) }
+      : github.fetch(url, init)
+  });
+  await assert.rejects(failing.commitFiles({ message: "partial", files: [{ path: "c.md", content: "c" }, { path: "d.md", content: "d" }] }));
+  assert.equal(blobs, 2);
+  assert.equal(github.head, before);
+});
+
+await check("commitWithRetry skips empty commits and gives up on a persistent conflict", async () => {
+  const github = createFakeGitHub();
+  const gh = client(github, { retryDelay: 1 });
+  assert.equal(await gh.commitWithRetry({ message: "noop", buildFiles: async () => null }), null);
+  assert.deepEqual(github.calls.filter(call => !call.startsWith("GET")), []);
+
+  let attempts = 0;
+  github.fail("PATCH", REF_UPDATE, 422, { times: 10, message: "Update is not a fast forward" });
+  const error = await gh.commitWithRetry({ message: "x", maxRetries: 2, buildFiles: async () => { attempts += 1; return [{ path: "x.md", content: "x" }]; } }).catch(error => error);
+  assert.equal(error.conflict, true);
+  assert.equal(attempts, 3);
+  assert.deepEqual(github.files(), {});
+});
+
+await check("the GitHub client commits as the author and committer configured in the environment", async () => {
+  const github = createFakeGitHub();
+  const bodies = [];
+  const fetch = (url, init) => {
+    if (init?.body) bodies.push(JSON.parse(init.body));
+    return github.fetch(url, init);
+  };
+  const gh = createGitHubClientFromEnv({
+    GITHUB_TOKEN: "t",
+    GITHUB_REPO: "owner/site",
+    GITHUB_BRANCH: "site",
+    GITHUB_AUTHOR_NAME: "Writer",
+    GITHUB_AUTHOR_EMAIL: "writer@example.com",
+    GITHUB_COMMITTER_NAME: "Bot",
+    GITHUB_COMMITTER_EMAIL: "bot@example.com"
+  }, { fetch });
+  await gh.commitFiles({ message: "who", files: [{ path: "a.md", content: "a" }] });
+  const commit = bodies.find(body => body.message === "who");
+  assert.deepEqual(commit.author, { name: "Writer", email: "writer@example.com" });
+  assert.deepEqual(commit.committer, { name: "Bot", email: "bot@example.com" });
+  assert.ok(github.calls.includes("PATCH /git/refs/heads/site"));
+});
+
+async function photo(color, alt) {
+  const image = await sharp({ create: { width: 320, height: 240, channels: 3, background: color } }).jpeg().toBuffer();
+  return {
+    imageData: `data:image/jpeg;base64,${image.toString("base64")}`,
+    filename: `${alt}.jpg`,
+    photoData: { id: alt, uploaded: "2025-10-30T00:15:00Z", meta: { alt, tags: ["Life"] } }
+  };
+}
+
+const photoIds = github => JSON.parse(github.file("_data/photos.json")).map(entry => entry.meta.alt).sort();
+
+await check("a photos.json commit landing mid-upload is merged, not overwritten", async () => {
+  const { github, photo: handler } = setup({ "_data/photos.json": "[]\n" });
+  const first = await photo("#c33", "first");
+  const second = await photo("#3c3", "second");
+
+  // The second upload commits after the first has read photos.json but before it moves the branch
+  github.beforeNextRefUpdate(async () => {
+    const res = await call(handler, { key: "photos-key", body: second });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  });
+  const res = await call(handler, { key: "photos-key", body: first });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+
+  assert.deepEqual(photoIds(github), ["first", "second"]);
+  for (const entry of JSON.parse(github.file("_data/photos.json"))) {
+    for (const variant of entry.variants) {
+      assert.ok(github.file(variant.replace(/^\//, "")), `${variant} is referenced but was not committed`);
+    }
+  }
+});
+
+await check("parallel photo uploads all end up in photos.json", async () => {
+  const { github, photo: handler } = setup({ "_data/photos.json": "[]\n" });
+  const bodies = await Promise.all([["#33c", "a"], ["#cc3", "b"], ["#3cc", "c"]].map(([color, alt]) => photo(color, alt)));
+  const results = await Promise.all(bodies.map(body => call(handler, { key: "photos-key", body })));
+  assert.deepEqual(results.map(res => res.statusCode), [200, 200, 200], JSON.stringify(results.map(res => res.body)));
+  assert.deepEqual(photoIds(github), ["a", "b", "c"]);
+});
+
+await check("the same photo uploaded twice, one after the other or at once, is committed once", async () => {
+  const { github, photo: handler } = setup({ "_data/photos.json": "[]\n" });
+  const body = await photo("#c63", "twice");
+
+  const first = await call(handler, { key: "photos-key", body });
+  const head = github.head;
+  const again = await call(handler, { key: "photos-key", body: { ...body, photoData: { ...body.photoData, meta: { alt: "renamed" } } } });
+  assert.equal(again.statusCode, 200, JSON.stringify(again.body));
+  assert.equal(again.body.duplicate, true);
+  assert.equal(again.body.photoId, first.body.photoId);
+  assert.equal(github.head, head);
+
+  const other = await photo("#6c3", "racing");
+  const racing = await Promise.all([call(handler, { key: "photos-key", body: other }), call(handler, { key: "photos-key", body: other })]);
+  assert.deepEqual(racing.map(res => res.statusCode), [200, 200]);
+  assert.deepEqual(racing.map(res => Boolean(res.body.duplicate)).sort(), [false, true]);
+  assert.deepEqual(photoIds(github), ["racing", "twice"]);
+});
+
+await check("photos uploaded at the same time get consecutive ids for the day", async () => {
+  const { github, photo: handler } = setup({ "_data/photos.json": "[]\n" });
+  const day = formatSiteDay(new Date()).replace(/-/g, "");
+  await call(handler, { key: "photos-key", body: await photo("#111", "earlier") });
+
+  const bodies = await Promise.all([["#c39", "p"], ["#93c", "q"], ["#39c", "r"]].map(([color, alt]) => photo(color, alt)));
+  const results = await Promise.all(bodies.map(body => call(handler, { key: "photos-key", body })));
+  assert.deepEqual(results.map(res => res.statusCode), [200, 200, 200], JSON.stringify(results.map(res => res.body)));
+
+  const ids = JSON.parse(github.file("_data/photos.json")).map(entry => entry.id);
+  const sequences = ids.map(id => new RegExp(`^photo-${day}-(\\d{3})-[0-9a-f]{8}$`).exec(id)?.[1]).sort();
+  assert.deepEqual(sequences, ["001", "002", "003", "004"], ids.join(", "));
+  assert.equal(new Set(ids).size, 4);
+});
+
+await check("a photo batch is staged as blobs and committed in one go, duplicates once", async () => {
+  const { github, batch } = setup({ "_data/photos.json": "[]\n" });
+  const stage = async body => (await call(batch, { method: "PUT", key: "photos-key", body })).body;
+
+  const one = await stage(await photo("#a33", "one"));
+  const two = await stage(await photo("#3a3", "two"));
+  const twin = await stage(await photo("#a33", "one again"));
+  assert.equal(one.staged, true, JSON.stringify(one));
+  assert.equal(github.messages().length, 0, "staging must not commit");
+
+  // Text edited after staging is still accepted
+  const edited = { ...two.item, photoData: { ...two.item.photoData, meta: { ...two.item.photoData.meta, alt: "two, edited" } } };
+  const res = await call(batch, { key: "photos-key", body: { items: [one.item, edited, twin.item] } });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.deepEqual(res.body.items.map(item => item.duplicate), [false, false, true]);
+  assert.equal(res.body.items[2].photoId, res.body.items[0].photoId);
+  assert.deepEqual(github.messages(), ["feat: Upload 3 photos"]);
+  assert.deepEqual(photoIds(github), ["one", "two, edited"]);
+  for (const entry of JSON.parse(github.file("_data/photos.json"))) {
+    for (const variant of entry.variants) {
+      assert.ok(github.file(variant.slice(1)), `${variant} is referenced but was not committed`);
+    }
+  }
+});
+
+await check("a photo batch with an unsigned or tampered item, or a failing commit, commits nothing", async () => {
+  const { github, batch } = setup({ "_data/photos.json": "[]\n" });
+  const stage = async body => (await call(batch, { method: "PUT", key: "photos-key", body })).body.item;
+  const good = await stage(await photo("#33a", "good"));
+  const other = await stage(await photo("#a3a", "other"));
+  const before = github.head;
+
+  const { signature, ...unsigned } = other;
+  const tampered = [
+    unsigned,
+    { ...other, signature: signature.replace(/^./, char => (char === "A" ? "B" : "A")) },
+    { ...other, files: other.files.map((file, index) => (index === 0 ? { ...file, sha: good.files[0].sha } : file)) },
+    { ...other, basePath: "images/photos/elsewhere", files: other.files.map(file => ({ ...file, path: file.path.replace(other.basePath, "images/photos/elsewhere") })) },
+    { ...other, photoData: { ...other.photoData, meta: { ...other.photoData.meta, ratio: 9 } } }
+  ];
+  for (const item of tampered) {
+    const res = await call(batch, { key: "photos-key", body: { items: [good, item] } });
+    assert.equal(res.statusCode, 400, JSON.stringify(res.body));
+  }
+
+  // GitHub rejects the tree (a staged blob is gone): the good photo is not committed on its own
+  github.fail("POST", /^\/git\/trees$/, 422, { message: "tree.sha is not a valid blob" });
+  const res = await call(batch, { key: "photos-key", body: { items: [good, other] } });
+  assert.equal(res.statusCode, 400, JSON.stringify(res.body));
+  assert.equal(github.head, before);
+  assert.equal(github.file("_data/photos.json"), "[]\n");
+});
+
+const photoFiles = github => Object.fromEntries(Object.entries(github.files()).filter(([path]) => path.startsWith("images/photos/")));
+
+await check("editing a photo's text commits photos.json only and keeps edits made meanwhile", async () => {
+  const { github, photo: handler, updatePhoto } = setup({ "_data/photos.json": "[]\n" });
+  const first = (await call(handler, { key: "photos-key", body: await photo("#5a5", "first") })).body.photoId;
+  const second = (await call(handler, { key: "photos-key", body: await photo("#a55", "second") })).body.photoId;
+  const images = photoFiles(github);
+  const edit = (id, meta) => call(updatePhoto, { method: "PATCH", key: "photos-key", body: { id, meta } });
+
+  // Another edit lands between our read of photos.json and our commit
+  github.beforeNextRefUpdate(async () => assert.equal((await edit(second, { alt: "second, renamed" })).statusCode, 200));
+  const res = await edit(first, { caption: "By the river", location: "Hangzhou" });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+
+  const entries = Object.fromEntries(JSON.parse(github.file("_data/photos.json")).map(entry => [entry.id, entry]));
+  assert.equal(entries[first].meta.caption, "By the river");
+  assert.equal(entries[first].meta.location, "Hangzhou");
+  assert.equal(entries[first].meta.ratio, 1.33);
+  assert.equal(entries[second].meta.alt, "second, renamed");
+  assert.deepEqual(photoFiles(github), images);
+
+  assert.equal((await edit(first, { caption: "" })).statusCode, 200);
+  assert.equal(JSON.parse(github.file("_data/photos.json")).find(entry => entry.id === first).meta.caption, undefined);
+
+  const head = github.head;
+  assert.equal((await edit("photo-20000101-001-00000000", { alt: "x" })).statusCode, 404);
+  assert.equal((await edit(first, { ratio: "2" })).statusCode, 400);
+  assert.equal((await edit(first, { alt: " " })).statusCode, 400);
+  assert.equal(github.head, head);
+});
+
+await check("deleting a photo removes its entry and every variant in one commit", async () => {
+  const { github, photo: handler, deletePhoto } = setup({ "_data/photos.json": "[]\n" });
+  const kept = await call(handler, { key: "photos-key", body: await photo("#55a", "kept") });
+  const gone = await call(handler, { key: "photos-key", body: await photo("#5aa", "gone") });
+  const commits = github.messages().length;
+
+  // A photo uploaded while the delete is committing is kept
+  const late = await photo("#aa5", "late");
+  github.beforeNextRefUpdate(async () => assert.equal((await call(handler, { key: "photos-key", body: late })).statusCode, 200));
+  const res = await call(deletePhoto, { method: "DELETE", key: "photos-key", body: { id: gone.body.photoId } });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.deepEqual([...res.body.deleted].sort(), gone.body.variants.map(variant => variant.slice(1)).sort());
+
+  assert.equal(github.messages().length, commits + 2);
+  assert.equal(github.messages()[0], `feat: Delete photo ${gone.body.photoId}`);
+  assert.deepEqual(photoIds(github), ["kept", "late"]);
+  for (const variant of gone.body.variants) {
+    assert.equal(github.file(variant.slice(1)), null, `${variant} was not deleted`);
+  }
+  for (const variant of kept.body.variants) {
+    assert.ok(github.file(variant.slice(1)), `${variant} was deleted with the wrong photo`);
+  }
+
+  const head = github.head;
+  assert.equal((await call(deletePhoto, { method: "DELETE", key: "photos-key", body: { id: gone.body.photoId } })).statusCode, 404);
+  assert.equal(github.head, head);
+});
+
+const QUEUE = JSON.stringify([
+  { id: "note-job", type: "note", publishAt: "2099-01-01T00:00:00.000Z", path: "_notes/note-2099-01-01-0800.md", content: "note" },
+  { id: "post-job", type: "post", publishAt: "2099-01-02T00:00:00.000Z", path: "_posts/2099-01-02-0800-post-later.md", content: "post" }
+]);
+
+await check("scheduled jobs are listed and cancelled only with the job type's scope", async () => {
+  const { github, schedule } = setup({ "_scheduled/queue.json": QUEUE });
+  const jobIds = async key => (await call(schedule, { method: "GET", key })).body.jobs.map(job => job.id);
+  const cancel = (key, id) => call(schedule, { method: "DELETE", key, headers: { "idempotency-key": `${key}-${id}` }, body: { id } });
+
+  assert.deepEqual(await jobIds("notes-key"), ["note-job"]);
+  assert.deepEqual(await jobIds("posts-key"), ["post-job"]);
+
+  const before = github.head;
+  assert.equal((await cancel("notes-key", "post-job")).statusCode, 403);
+  assert.equal((await cancel("posts-key", "note-job")).statusCode, 403);
+  assert.equal(github.head, before);
+
+  assert.equal((await cancel("notes-key", "note-job")).statusCode, 200);
+  assert.deepEqual(JSON.parse(github.file("_scheduled/queue.json")).map(job => job.id), ["post-job"]);
+});
+
+await check("cancelling a job that is gone by commit time makes no commit and answers 404", async () => {
+  const { github, schedule } = setup({ "_scheduled/queue.json": QUEUE });
+
+  // Another request cancels the same job while ours is committing
+  github.beforeNextRefUpdate(() => github.push({ "_scheduled/queue.json": JSON.stringify(JSON.parse(QUEUE).slice(1)) }));
+  const res = await call(schedule, { method: "DELETE", key: "notes-key", body: { id: "note-job" } });
+  assert.equal(res.statusCode, 404, JSON.stringify(res.body));
+  assert.deepEqual(github.messages(), ["concurrent change"]);
+});
+
+await check("publishing a draft with a future date queues it instead of committing to _posts", async () => {
+  const draft = "---\ntitle: Drafty\nlayout: default\nopen_heart: true\ndate: 2025/10/30 08:15\nslug: drafty\n---\n\nBody\n";
+  const { github, drafts } = setup({ "_drafts/drafty.md": draft, "_drafts/now.md": draft.replace("drafty", "now") });
+  const later = formatSiteDateTime(new Date(Date.now() + 3 * 60 * 60 * 1000));
+
+  const res = await call(drafts, { key: "posts-key", body: { filename: "drafty.md", date: later } });
+  assert.equal(res.statusCode, 202, JSON.stringify(res.body));
+  assert.equal(res.body.scheduled, true);
+  const [job] = JSON.parse(github.file("_scheduled/queue.json"));
+  assert.equal(job.type, "post");
+  assert.equal(job.path, `_posts/${res.body.filename}`);
+  assert.equal(github.file("_drafts/drafty.md"), null);
+  assert.deepEqual(Object.keys(github.files()).filter(file => file.startsWith("_posts/")), []);
+
+  const published = await call(drafts, { key: "posts-key", body: { filename: "now.md", date: "2025/10/30 08:15" } });
+  assert.equal(published.statusCode, 200, JSON.stringify(published.body));
+  assert.ok(github.file("_posts/2025-10-30-0815-post-now.md"));
+});
+
+await check("a retry with the same Idempotency-Key gets the first response back instead of a second note", async () => {
+  const { github, note: handler } = setup();
+  const send = (body, key = "retry-1") => call(handler, { key: "notes-key", body, headers: { "idempotency-key": key } });
+
+  const first = await send(note());
+  assert.equal(first.statusCode, 200, JSON.stringify(first.body));
+  assert.equal(first.headers["idempotent-replayed"], undefined);
+  const replayed = await send(note());
+  assert.equal(replayed.statusCode, 200);
+  assert.equal(replayed.headers["idempotent-replayed"], "true");
+  assert.deepEqual(replayed.body, first.body);
+  assert.equal((await send(note({ content: "Something else" }))).statusCode, 422);
+  assert.equal((await send(note(), "bad key with spaces")).statusCode, 400);
+
+  assert.deepEqual(github.messages(), ["feat: Add note note-2025-10-30-0815"]);
+});
+
+await check("a retry that arrives while the first request is running gets 409", async () => {
+  const { github, note: handler } = setup();
+  const send = () => call(handler, { key: "notes-key", body: note(), headers: { "idempotency-key": "in-flight" } });
+
+  let overlapping;
+  github.beforeNextRefUpdate(async () => { overlapping = await send(); });
+  const first = await send();
+  assert.equal(first.statusCode, 200, JSON.stringify(first.body));
+  assert.equal(overlapping.statusCode, 409, JSON.stringify(overlapping.body));
+  assert.equal(overlapping.headers["retry-after"], "5");
+
+  assert.equal((await send()).headers["idempotent-replayed"], "true");
+  assert.equal(Object.keys(github.files()).length, 1);
+});
+
+await check("a failed request is not remembered, so a retry with the same key runs again", async () => {
+  const { github, note: handler } = setup();
+  const send = () => call(handler, { key: "notes-key", body: note(), headers: { "idempotency-key": "after-failure" } });
+
+  github.fail("GET", /^\/git\/ref\/heads\//, 502, { message: "Bad Gateway" });
+  assert.equal((await send()).statusCode, 500);
+  assert.deepEqual(github.files(), {});
+
+  const retried = await send();
+  assert.equal(retried.statusCode, 200, JSON.stringify(retried.body));
+  assert.equal(retried.headers["idempotent-replayed"], undefined);
+  assert.ok(github.file("_notes/note-2025-10-30-0815.md"));
+});
+
+await check("a reused Idempotency-Key with a different raw image of the same size is rejected", async () => {
+  const { github, photo: handler } = setup({ "_data/photos.json": "[]\n" });
+  const image = await sharp({ create: { width: 320, height: 240, channels: 3, background: "#963" } }).jpeg().toBuffer();
+  const other = Buffer.from(image);
+  other[other.length - 10] ^= 0xff;
+
+  const upload = async bytes => {
+    const req = Readable.from([bytes]);
+    req.method = "POST";
+    req.url = "/api/upload-photo";
+    req.headers = {
+      "x-access-key": "photos-key",
+      "idempotency-key": "same-key",
+      "content-type": "image/jpeg",
+      "content-length": String(bytes.length),
+      "x-photo-filename": "raw.jpg",
+      "x-photo-data": encodeURIComponent(JSON.stringify({ id: "raw", uploaded: "2025-10-30T00:15:00Z", meta: { alt: "raw" } }))
+    };
+    const res = createResponse();
+    await handler(req, res);
+    return res;
+  };
+
+  const first = await upload(image);
+  assert.equal(first.statusCode, 200, JSON.stringify(first.body));
+  const replayed = await upload(image);
+  assert.equal(replayed.headers["idempotent-replayed"], "true");
+  assert.deepEqual(replayed.body, first.body);
+  assert.equal((await upload(other)).statusCode, 422);
+  assert.equal(JSON.parse(github.file("_data/photos.json")).length, 1);
+});
+
+await check("passkeys and sessions stop working once their access key is revoked or expires", async () => {
+  const origin = "https://site.bazinga.ink";
+  const { github, note: handler, register, login } = setup();
+  const authenticator = createFakeAuthenticator({ origin });
+  const cookies = {};
+
+  // A tiny cookie jar: the handlers set the challenge and session cookies
+  const browser = async (target, options = {}) => {
+    const cookie = Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join("; ");
+    const res = await call(target, { ...options, headers: { origin, ...(cookie ? { cookie } : {}) } });
+    for (const header of [].concat(res.headers["set-cookie"] || [])) {
+      const [pair, maxAge] = header.split("; ");
+      const [name, value] = pair.split("=");
+      if (maxAge === "Max-Age=0") delete cookies[name];
+      else cookies[name] = value;
+    }
+    return res;
+  };
+  const setTokens = tokens => { process.env.WRITE_TOKENS = JSON.stringify(tokens); };
+
+  process.env.SESSION_SECRET = "test-session-secret";
+  try {
+    const options = await browser(register, { method: "GET", key: "notes-key" });
+    const registered = await browser(register, { key: "notes-key", body: { name: "Laptop", response: authenticator.register(options.body) } });
+    assert.equal(registered.statusCode, 201, JSON.stringify(registered.body));
+    const [entry] = JSON.parse(github.file("_auth/passkeys.json"));
+    assert.equal(entry.sourceToken, "notes-device");
+
+    const signIn = async () => {
+      const challenge = await browser(login, { method: "GET" });
+      return browser(login, { body: { response: authenticator.login(challenge.body) } });
+    };
+    assert.equal((await signIn()).statusCode, 200);
+    assert.equal((await browser(handler, { body: note() })).statusCode, 200);
+
+    setTokens(TOKENS.map(token => token.name === "notes-device" ? { ...token, revoked: true } : token));
+    const rejected = await browser(handler, { body: note({ content: "After revoking" }) });
+    assert.equal(rejected.statusCode, 401, JSON.stringify(rejected.body));
+    assert.equal((await browser(sessionHandler, { method: "GET" })).body.signedIn, false);
+    assert.equal((await signIn()).statusCode, 401);
+
+    setTokens(TOKENS.map(token => token.name === "notes-device" ? { ...token, expiresAt: "2000-01-01T00:00:00Z" } : token));
+    assert.equal((await signIn()).statusCode, 401);
+    assert.equal((await browser(handler, { body: note({ content: "After expiry" }) })).statusCode, 401);
+
+    // Deleting the entry counts too
+    setTokens(TOKENS.filter(token => token.name !== "notes-device"));
+    assert.equal((await signIn()).statusCode, 401);
+    setTokens(TOKENS);
+
+    // A passkey registered with WRITE_ACCESS_KEY goes with it
+    process.env.WRITE_ACCESS_KEY = "legacy-key";
+    const legacy = createFakeAuthenticator({ origin });
+    const legacyOptions = await browser(register, { method: "GET", key: "legacy-key" });
+    assert.equal((await browser(register, { key: "legacy-key", body: { name: "Phone", response: legacy.register(legacyOptions.body) } })).statusCode, 201);
+    assert.equal(JSON.parse(github.file("_auth/passkeys.json"))[1].sourceToken, "legacy");
+    delete process.env.WRITE_ACCESS_KEY;
+    const challenge = await browser(login, { method: "GET" });
+    assert.equal((await browser(login, { body: { response: legacy.login(challenge.body) } })).statusCode, 401);
+
+    const notes = Object.keys(github.files()).filter(file => file.startsWith("_notes/"));
+    assert.equal(notes.length, 1, notes.join(", "));
+  } finally {
+    setTokens(TOKENS);
+    delete process.env.SESSION_SECRET;
+    delete process.env.WRITE_ACCESS_KEY;
+  }
+});
+
+await check("request errors map to 4xx", async () => {
+  const { github, note: handler } = setup();
+  assert.equal((await call(handler, { method: "GET", key: "notes-key" })).statusCode, 405);
+  assert.equal((await call(handler, { body: note() })).statusCode, 401);
+  assert.equal((await call(handler, { key: "wrong-key", body: note() })).statusCode, 401);
+  assert.equal((await call(handler, { key: "posts-key", body: note() })).statusCode, 403);
+  assert.equal((await call(handler, { key: "notes-key", body: note({ content: " " }) })).statusCode, 400);
+  assert.equal((await call(handler, { key: "notes-key", body: note({ tags: [] }) })).statusCode, 400);
+  assert.equal((await call(handler, { key: "notes-key", body: note({ date: "tomorrow" }) })).statusCode, 400);
+  assert.deepEqual(github.files(), {});
+});
+
+await check("repeated bad keys lock the IP out, even for a valid key, and only that IP", async () => {
+  const { github, note: handler } = setup();
+  const from = (ip, key) => call(handler, { key, body: note(), headers: { "x-forwarded-for": ip } });
+
+  const statuses = [];
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    statuses.push((await from("203.0.113.7", "guess")).statusCode);
+  }
+  assert.deepEqual(statuses, [401, 401, 401, 401, 429]);
+
+  // Deliberate: a locked IP cannot even confirm that a key it guessed is right
+  const locked = await from("203.0.113.7", "notes-key");
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.headers["retry-after"], "900");
+  assert.deepEqual(github.files(), {});
+
+  assert.equal((await from("198.51.100.2", "notes-key")).statusCode, 200);
+});
+
+await check("requests over the per-IP and per-token limits get 429 with Retry-After", async () => {
+  // The windows are fixed minutes; do not start right before one rolls over
+  const untilNextMinute = 60000 - (Date.now() % 60000);
+  if (untilNextMinute < 3000) await new Promise(resolve => setTimeout(resolve, untilNextMinute));
+
+  const { schedule } = setup({ "_scheduled/queue.json": "[]" });
+  const list = (ip, key) => call(schedule, { method: "GET", key, headers: { "x-forwarded-for": ip } });
+
+  // A wrong scope is not a failed login, so it only counts toward the IP limit
+  for (let request = 0; request < 30; request += 1) {
+    assert.equal((await call(schedule, { method: "DELETE", key: "photos-key", body: { id: "x" }, headers: { "x-forwarded-for": "192.0.2.1" } })).statusCode, 403);
+  }
+  const ipLimited = await list("192.0.2.1", "notes-key");
+  assert.equal(ipLimited.statusCode, 429);
+  assert.ok(Number(ipLimited.headers["retry-after"]) > 0 && Number(ipLimited.headers["retry-after"]) <= 60);
+
+  // The token limit holds across IPs
+  for (let request = 0; request < 60; request += 1) {
+    assert.equal((await list(`192.0.2.${10 + (request % 20)}`, "notes-key")).statusCode, 200);
+  }
+  const tokenLimited = await list("192.0.2.99", "notes-key");
+  assert.equal(tokenLimited.statusCode, 429);
+  assert.ok(Number(tokenLimited.headers["retry-after"]) > 0);
+  assert.equal((await list("192.0.2.99", "posts-key")).statusCode, 200);
+});
+
+await check("browsers from other origins are refused and allowed origins are echoed back", async () => {
+  const { github, note: handler } = setup();
+  const preflight = origin => call(handler, { method: "OPTIONS", headers: origin ? { origin } : {} });
+
+  const refused = await preflight("https://evil.example");
+  assert.equal(refused.statusCode, 403);
+  assert.equal(refused.headers["access-control-allow-origin"], undefined);
+  assert.equal((await call(handler, { key: "notes-key", body: note(), headers: { origin: "https://evil.example" } })).statusCode, 403);
+  assert.deepEqual(github.files(), {});
+
+  const allowed = await preflight("https://site.bazinga.ink");
+  assert.equal(allowed.statusCode, 200);
+  assert.equal(allowed.headers["access-control-allow-origin"], "https://site.bazinga.ink");
+  assert.equal(allowed.headers.vary, "Origin");
+  assert.match(allowed.headers["access-control-allow-headers"], /X-Access-Key/);
+
+  const shortcut = await preflight();
+  assert.equal(shortcut.statusCode, 200);
+  assert.equal(shortcut.headers["access-control-allow-origin"], undefined);
+
+  process.env.WRITE_ALLOWED_ORIGINS = "https://example.org/, http://localhost:4000";
+  try {
+    assert.equal((await preflight("https://example.org")).headers["access-control-allow-origin"], "https://example.org");
+    assert.equal((await preflight("https://site.bazinga.ink")).statusCode, 403);
+  } finally {
+    delete process.env.WRITE_ALLOWED_ORIGINS;
+  }
+});
+
+await check("malformed note bodies are rejected with 400, not 500", async () => {
+  const { github, note: handler, updateNote } = setup({ "_notes/note-2025-10-30-0815.md": "---\ntitle: 202510300815\ndate: 2025/10/30 08:15\ntags: [Life]\n---\n\nHello\n" });
+  const before = github.files();
+
+  for (const body of [undefined, note({ content: 42 }), note({ content: ["Hello"] }), note({ tags: [null, {}] }), note({ tags: ["Life", 7] }), note({ lang: { x: 1 } }), note({ lang: "en US" })]) {
+    const res = await call(handler, { key: "notes-key", body });
+    assert.equal(res.statusCode, 400, `create ${JSON.stringify(body)}: ${JSON.stringify(res.body)}`);
+  }
+
+  const update = fields => ({ note: "note-2025-10-30-0815", ...fields });
+  for (const body of [undefined, update({ content: 42 }), update({ tags: [null] }), update({ lang: 42 }), update({ lang: ["x"] }), update({ lang: "" })]) {
+    const res = await call(updateNote, { method: "PATCH", key: "notes-key", body });
+    assert.equal(res.statusCode, 400, `update ${JSON.stringify(body)}: ${JSON.stringify(res.body)}`);
+  }
+
+  assert.deepEqual(github.files(), before);
+});
+
+await check("malformed post bodies are rejected with 400, not written as-is", async () => {
+  const existing = "---\ntitle: Hello\nlayout: default\nopen_heart: true\ndate: 2025/10/30 08:15\n---\n\nBody\n";
+  const { github, post, updatePost } = setup({ "_posts/2025-10-30-0815-post-hello.md": existing });
+  const before = github.files();
+  const fields = { title: "Hello", body: "World", slug: "hello-again", date: "2025/10/30 08:15" };
+
+  for (const date of ["garbage", "2025-10-30 08:15", "2025/02/30 08:15", 20251030]) {
+    const created = await call(post, { key: "posts-key", body: { ...fields, date } });
+    assert.equal(created.statusCode, 400, `create date ${date}: ${JSON.stringify(created.body)}`);
+  }
+
+  for (const extra of [{ image: { url: "/a.jpg" } }, { image: 42 }, { image_text: ["caption"] }]) {
+    const created = await call(post, { key: "posts-key", body: { ...fields, ...extra } });
+    assert.equal(created.statusCode, 400, `create ${JSON.stringify(extra)}: ${JSON.stringify(created.body)}`);
+    const updated = await call(updatePost, { method: "PATCH", key: "posts-key", body: { filename: "2025-10-30-0815-post-hello.md", ...extra } });
+    assert.equal(updated.statusCode, 400, `update ${JSON.stringify(extra)}: ${JSON.stringify(updated.body)}`);
+  }
+
+  assert.deepEqual(github.files(), before);
+});
+
+await check("GitHub errors map to 403, 409 and 500", async () => {
+  const { github, note: handler } = setup();
+
+  github.fail("POST", /^\/git\/blobs$/, 403, { message: "Resource not accessible by integration" });
+  assert.equal((await call(handler, { key: "notes-key", body: note() })).statusCode, 403);
+
+  // Every retry loses the race: give up with 409 instead of a misleading 400
+  github.fail("PATCH", REF_UPDATE, 422, { times: 10, message: "Update is not a fast forward" });
+  assert.equal((await call(handler, { key: "notes-key", body: note() })).statusCode, 409);
+  github.reset();
+
+  github.fail("GET", /^\/git\/ref\/heads\//, 502, { message: "Bad Gateway" });
+  const res = await call(handler, { key: "notes-key", body: note() });
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.details, undefined);
+
+  assert.deepEqual(github.files(), {});
+});
+
+if (failures.length > 0) {
+  console.log(`Write API check failed (${failures.length}).`);
+  process.exit(1);
+}
+console.log("Write API check passed.");
+NODE
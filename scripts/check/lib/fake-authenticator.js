@@ -0,0 +1,84 @@
+// Software passkey for driving api/passkey-register.js and api/passkey-login.js
+// without a browser: a P-256 key pair that answers registration options with a
+// "none" attestation and login options with a signed assertion.
+
+import { createHash, generateKeyPairSync, randomBytes, sign } from "crypto";
+import { encodeCBOR } from "@levischuck/tiny-cbor";
+
+// Flags: user present (0x01), user verified (0x04), attested credential data (0x40)
+const REGISTER_FLAGS = 0x45;
+const LOGIN_FLAGS = 0x05;
+
+export function createFakeAuthenticator({ origin }) {
+  const rpID = new URL(origin).hostname;
+  const rpHash = createHash("sha256").update(rpID).digest();
+  const { publicKey, privateKey } = generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const jwk = publicKey.export({ format: "jwk" });
+  const credentialId = randomBytes(16);
+  const id = credentialId.toString("base64url");
+  let counter = 0;
+
+  // COSE EC2 key: kty 2, alg -7 (ES256), crv 1 (P-256), x, y
+  const coseKey = new Map([
+    [1, 2],
+    [3, -7],
+    [-1, 1],
+    [-2, new Uint8Array(Buffer.from(jwk.x, "base64url"))],
+    [-3, new Uint8Array(Buffer.from(jwk.y, "base64url"))]
+  ]);
+
+  function authenticatorData(flags, attested) {
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(counter);
+    const parts = [rpHash, Buffer.from([flags]), count];
+    if (attested) {
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(credentialId.length);
+      parts.push(Buffer.alloc(16), length, credentialId, Buffer.from(encodeCBOR(coseKey)));
+    }
+    return Buffer.concat(parts);
+  }
+
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+  return {
+    id,
+
+    register(options) {
+      const attestation = encodeCBOR(new Map([
+        ["fmt", "none"],
+        ["attStmt", new Map()],
+        ["authData", new Uint8Array(authenticatorData(REGISTER_FLAGS, true))]
+      ]));
+      return {
+        id,
+        rawId: id,
+        type: "public-key",
+        clientExtensionResults: {},
+        response: {
+          clientDataJSON: clientData("webauthn.create", options.challenge).toString("base64url"),
+          attestationObject: Buffer.from(attestation).toString("base64url"),
+          transports: ["internal"]
+        }
+      };
+    },
+
+    login(options) {
+      counter += 1;
+      const data = authenticatorData(LOGIN_FLAGS, false);
+      const json = clientData("webauthn.get", options.challenge);
+      const signature = sign("sha256", Buffer.concat([data, createHash("sha256").update(json).digest()]), privateKey);
+      return {
+        id,
+        rawId: id,
+        type: "public-key",
+        clientExtensionResults: {},
+        response: {
+          clientDataJSON: json.toString("base64url"),
+          authenticatorData: data.toString("base64url"),
+          signature: signature.toString("base64url")
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,219 @@
+// In-memory stand-in for the parts of the GitHub REST API that api/_lib/github.js
+// uses: the contents API and the Git Data API (refs, commits, trees, blobs).
+// Pass `fetch` to a handler factory (createNoteHandler({ fetch }) etc.) and the
+// handler reads and commits against this repository instead of github.com.
+
+import { createHash } from "crypto";
+
+export function createFakeGitHub(initialFiles = {}) {
+  let counter = 0;
+  const blobs = new Map();
+  const trees = new Map();
+  const commits = new Map();
+  const failures = [];
+  const calls = [];
+  let beforeRefUpdate = [];
+
+  const newSha = kind => createHash("sha1").update(`${kind}:${(counter += 1)}`).digest("hex");
+
+  function storeBlob(buffer) {
+    const sha = newSha("blob");
+    blobs.set(sha, buffer);
+    return sha;
+  }
+
+  function storeCommit(entries, parents, message) {
+    const treeSha = newSha("tree");
+    trees.set(treeSha, entries);
+    const sha = newSha("commit");
+    commits.set(sha, { tree: treeSha, parents, message });
+    return sha;
+  }
+
+  let head = storeCommit(
+    new Map(Object.entries(initialFiles).map(([path, content]) => [path, storeBlob(Buffer.from(content))])),
+    [],
+    "initial"
+  );
+
+  const treeAt = sha => trees.get(commits.get(sha).tree);
+
+  function respond(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  }
+
+  async function fetch(url, init = {}) {
+    const { pathname, searchParams } = new URL(url);
+    const method = init.method || "GET";
+    const path = pathname.replace(/^\/repos\/[^/]+\/[^/]+/, "");
+    const body = init.body ? JSON.parse(init.body) : {};
+    calls.push(`${method} ${path}`);
+
+    const failure = failures.find(item => item.method === method && item.pattern.test(path) && item.times > 0);
+    if (failure) {
+      failure.times -= 1;
+      return respond(failure.status, { message: failure.message });
+    }
+
+    let match;
+    if ((match = /^\/contents\/(.+)$/.exec(path))) {
+      return contents(method, decodeURIComponent(match[1]), searchParams.get("ref"), body);
+    }
+
+    if (method === "GET" && path.startsWith("/git/ref/heads/")) {
+      return respond(200, { object: { sha: head } });
+    }
+
+    if (method === "GET" && (match = /^\/git\/commits\/(\w+)$/.exec(path))) {
+      const commit = commits.get(match[1]);
+      return commit ? respond(200, { sha: match[1], tree: { sha: commit.tree } }) : respond(404, { message: "Not Found" });
+    }
+
+    if (method === "POST" && path === "/git/blobs") {
+      return respond(201, { sha: storeBlob(Buffer.from(body.content, "base64")) });
+    }
+
+    if (method === "POST" && path === "/git/trees") {
+      const entries = new Map(trees.get(body.base_tree));
+      for (const entry of body.tree) {
+        if (entry.sha === null) {
+          entries.delete(entry.path);
+        } else {
+          entries.set(entry.path, entry.sha);
+        }
+      }
+      const sha = newSha("tree");
+      trees.set(sha, entries);
+      return respond(201, { sha });
+    }
+
+    if (method === "POST" && path === "/git/commits") {
+      const sha = newSha("commit");
+      commits.set(sha, { tree: body.tree, parents: body.parents, message: body.message });
+      return respond(201, { sha });
+    }
+
+    if (method === "PATCH" && path.startsWith("/git/refs/heads/")) {
+      const hook = beforeRefUpdate.shift();
+      if (hook) {
+        await hook();
+      }
+      const commit = commits.get(body.sha);
+      if (!commit || commit.parents[0] !== head) {
+        return respond(422, { message: "Update is not a fast forward" });
+      }
+      head = body.sha;
+      return respond(200, { object: { sha: head } });
+    }
+
+    return respond(404, { message: `Unknown route ${method} ${path}` });
+  }
+
+  function contents(method, filepath, ref, body) {
+    if (method === "GET") {
+      const entries = treeAt(commits.has(ref) ? ref : head);
+      const blobSha = entries.get(filepath);
+      if (blobSha) {
+        return respond(200, { type: "file", path: filepath, sha: blobSha, content: blobs.get(blobSha).toString("base64") });
+      }
+
+      const prefix = `${filepath}/`;
+      const children = [...entries.keys()].filter(key => key.startsWith(prefix) && !key.slice(prefix.length).includes("/"));
+      return children.length > 0
+        ? respond(200, children.map(key => ({ type: "file", name: key.slice(prefix.length), path: key, sha: entries.get(key) })))
+        : respond(404, { message: "Not Found" });
+    }
+
+    const current = treeAt(head);
+    if (method === "PUT") {
+      if (current.has(filepath) ? body.sha !== current.get(filepath) : body.sha) {
+        return respond(409, { message: `${filepath} does not match ${body.sha}` });
+      }
+      const blobSha = storeBlob(Buffer.from(body.content, "base64"));
+      head = storeCommit(new Map(current).set(filepath, blobSha), [head], body.message);
+      return respond(201, { content: { path: filepath, sha: blobSha }, commit: { sha: head } });
+    }
+
+    if (method === "DELETE") {
+      if (current.get(filepath) !== body.sha) {
+        return respond(409, { message: `${filepath} does not match ${body.sha}` });
+      }
+      const next = new Map(current);
+      next.delete(filepath);
+      head = storeCommit(next, [head], body.message);
+      return respond(200, { content: null, commit: { sha: head } });
+    }
+
+    return respond(405, { message: `Unsupported ${method}` });
+  }
+
+  return {
+    fetch,
+    calls,
+    get head() {
+      return head;
+    },
+    // Current branch contents as { path: string }
+    files() {
+      return Object.fromEntries([...treeAt(head)].map(([path, sha]) => [path, blobs.get(sha).toString("utf8")]));
+    },
+    file(path) {
+      const sha = treeAt(head).get(path);
+      return sha ? blobs.get(sha).toString("utf8") : null;
+    },
+    messages() {
+      const result = [];
+      for (let sha = head; commits.get(sha).parents.length > 0; sha = commits.get(sha).parents[0]) {
+        result.push(commits.get(sha).message);
+      }
+      return result;
+    },
+    // Commit straight onto the branch, like another writer getting there first
+    push(changes, message = "concurrent change") {
+      const next = new Map(treeAt(head));
+      for (const [path, content] of Object.entries(changes)) {
+        if (content === null) {
+          next.delete(path);
+        } else {
+          next.set(path, storeBlob(Buffer.from(content)));
+        }
+      }
+      head = storeCommit(next, [head], message);
+    },
+    // Run `hook` right before the next ref update is applied
+    beforeNextRefUpdate(hook) {
+      beforeRefUpdate.push(hook);
+    },
+    // Answer the next `times` matching requests with an error
+    fail(method, pattern, status, { times = 1, message = "Simulated failure" } = {}) {
+      failures.push({ method, pattern, status, times, message });
+    },
+    reset() {
+      failures.length = 0;
+      beforeRefUpdate = [];
+    }
+  };
+}
+
+// Minimal Vercel-style response object that records what the handler sent
+export function createResponse() {
+  const res = { statusCode: 200, headers: {}, body: undefined, ended: false };
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  res.getHeader = name => res.headers[name.toLowerCase()];
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    res.ended = true;
+    return res;
+  };
+  res.end = () => {
+    res.ended = true;
+    return res;
+  };
+  return res;
+}
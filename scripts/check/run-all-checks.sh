@@ -18,6 +18,12 @@ echo "Running project quality checks..."
 run_step "Terminology check" bash scripts/check/check-terminology.sh
 run_step "i18n key parity check" bash scripts/check/check-i18n-keys.sh
 run_step "Language route smoke test" bash scripts/check/check-language-routes.sh
+run_step "Timezone check" bash scripts/check/check-timezones.sh
+run_step "Front matter round-trip check" bash scripts/check/check-front-matter.sh
+run_step "Media stories check" bash scripts/check/check-media-stories.sh
+run_step "Photos check" bash scripts/check/check-photos.sh
+run_step "Write API check" bash scripts/check/check-write-api.sh
+run_step "Note migration check" bash scripts/check/check-note-migration.sh
 run_step "Jekyll build" bundle exec jekyll build
 
 echo
@@ -0,0 +1,105 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Rename notes that do not follow the `note-YYYY-MM-DD-HHmm.md` scheme, such as the
+# `YYYY-MM-DD-aa.md` files the Shortcuts workflow used to write. Only `title` and
+# `date` are rewritten, to the values the shared builder in api/_lib/notes.js gives,
+# and a `location: null` left by the workflow is dropped. Every other front matter
+# line, including keys this script does not know, and the body are kept byte for
+# byte. A redirect stub is left at the old URL under redirects/notes/.
+#
+# The notes are those of the git checkout it runs in; the helpers come from the
+# checkout this script lives in.
+#
+# Usage: bash scripts/notes/migrate-note-filenames.sh [--dry-run]
+#   --dry-run  print the planned renames without touching any file
+
+if ! command -v node >/dev/null 2>&1; then
+  echo "node is required to migrate notes" >&2
+  exit 1
+fi
+
+SCRIPT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/../.." && pwd)"
+cd "$(git rev-parse --show-toplevel)"
+
+SCRIPT_ROOT="$SCRIPT_ROOT" node --input-type=module - "$@" <<'NODE'
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+const load = file => import(pathToFileURL(path.join(process.env.SCRIPT_ROOT, file)));
+
+const {
+  NOTES_DIR,
+  findAvailableNotePath,
+  isCanonicalNoteFilename,
+  noteIdentifiers,
+  noteUrl,
+  parseNoteMarkdown
+} = await load("api/_lib/notes.js");
+const { parseSiteDateTime } = await load("api/_lib/timezone.js");
+const { stringifyFrontMatter, stringifyYamlValue } = await load("api/_lib/yaml.js");
+
+const REDIRECTS_DIR = "redirects/notes";
+const dryRun = process.argv.includes("--dry-run");
+
+// Swap the `title` and `date` lines and drop `location: null`; the line breaks,
+// every other line and the body stay as they are
+function rewriteFrontMatter(markdown, { title, date }) {
+  const [, open, frontMatter, rest] = /^(---\r?\n)([\s\S]*?)(\r?\n---[ \t]*(?:\r?\n|$)[\s\S]*)$/.exec(markdown);
+  const newline = open.endsWith("\r\n") ? "\r\n" : "\n";
+  const lines = frontMatter.split(newline).flatMap(line => {
+    if (/^title:/.test(line)) return [`title: ${stringifyYamlValue(title)}`];
+    if (/^date:/.test(line)) return [`date: ${stringifyYamlValue(date)}`];
+    if (/^location:\s*(?:null|~)\s*$/.test(line)) return [];
+    return [line];
+  });
+  if (!lines.some(line => line.startsWith("title:"))) {
+    lines.unshift(`title: ${stringifyYamlValue(title)}`);
+  }
+  return `${open}${lines.join(newline)}${rest}`;
+}
+
+const filenames = fs.readdirSync(NOTES_DIR).filter(name => name.endsWith(".md")).sort();
+const taken = new Set(filenames.map(name => `${NOTES_DIR}/${name}`));
+let renamed = 0;
+let skipped = 0;
+
+for (const filename of filenames) {
+  if (isCanonicalNoteFilename(filename)) continue;
+
+  const oldPath = `${NOTES_DIR}/${filename}`;
+  const markdown = fs.readFileSync(oldPath, "utf8");
+  const parsed = parseNoteMarkdown(markdown);
+  const date = parsed && parseSiteDateTime(parsed.date);
+  if (!date) {
+    console.error(`Skipped ${oldPath}: its date cannot be read`);
+    skipped += 1;
+    continue;
+  }
+
+  const identifiers = noteIdentifiers(date);
+  const newPath = await findAvailableNotePath(`${NOTES_DIR}/${identifiers.filenameBase}.md`, candidate => taken.has(candidate));
+  taken.add(newPath);
+  renamed += 1;
+
+  console.log(`${oldPath} -> ${newPath}`);
+  if (dryRun) continue;
+
+  fs.writeFileSync(newPath, rewriteFrontMatter(markdown, identifiers));
+  fs.unlinkSync(oldPath);
+
+  const oldUrl = noteUrl(oldPath);
+  fs.mkdirSync(REDIRECTS_DIR, { recursive: true });
+  fs.writeFileSync(`${REDIRECTS_DIR}/${path.basename(oldUrl)}.html`, stringifyFrontMatter({
+    layout: "redirect",
+    permalink: oldUrl,
+    redirect_to: noteUrl(newPath),
+    sitemap: false
+  }));
+}
+
+const verb = dryRun ? "Would rename" : "Renamed";
+console.log(`${verb} ${renamed} note(s), skipped ${skipped}.`);
+process.exitCode = skipped > 0 ? 1 : 0;
+NODE
@@ -0,0 +1,54 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Generate a new write token for the API.
+# The token itself is printed once; only the hashed entry goes into WRITE_TOKENS.
+#
+# Usage: bash scripts/tokens/create-write-token.sh <name> <scopes> [expires-at]
+#   name        label for the device or client, e.g. phone-shortcut
+#   scopes      comma-separated list of notes, posts, photos
+#   expires-at  optional ISO date, e.g. 2026-12-31
+
+if [[ $# -lt 2 ]]; then
+  echo "Usage: $0 <name> <scopes> [expires-at]" >&2
+  exit 1
+fi
+
+if ! command -v node >/dev/null 2>&1; then
+  echo "node is required to generate tokens" >&2
+  exit 1
+fi
+
+node -e '
+  const crypto = require("crypto");
+  const [name, scopeList, expiresAt] = process.argv.slice(1);
+  const allowed = ["notes", "posts", "photos"];
+  const scopes = scopeList.split(",").map(scope => scope.trim()).filter(Boolean);
+
+  const unknown = scopes.filter(scope => !allowed.includes(scope));
+  if (scopes.length === 0 || unknown.length > 0) {
+    console.error(`Scopes must be a comma-separated list of: ${allowed.join(", ")}`);
+    process.exit(1);
+  }
+
+  if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+    console.error(`Invalid expiry date: ${expiresAt}`);
+    process.exit(1);
+  }
+
+  const token = `wt_${crypto.randomBytes(24).toString("base64url")}`;
+  const entry = {
+    name,
+    hash: `sha256:${crypto.createHash("sha256").update(token, "utf8").digest("hex")}`,
+    scopes
+  };
+  if (expiresAt) {
+    entry.expiresAt = new Date(expiresAt).toISOString();
+  }
+
+  console.log("Token (store it on the device now, it is not saved anywhere):");
+  console.log(`  ${token}`);
+  console.log("");
+  console.log("Add this entry to the WRITE_TOKENS array:");
+  console.log(`  ${JSON.stringify(entry)}`);
+' "$1" "$2" "${3:-}"